@@ -0,0 +1,16 @@
+// Environment variables index.js sets for the scripts it runs
+const CLI_ENV = {
+  // absolute path of the --config file
+  config: "MINTER_CONFIG",
+  // name of the --profile folder in profiles/
+  profile: "MINTER_PROFILE",
+  // "1" with --yes
+  yes: "MINTER_YES",
+  // "1" with --json-logs, set by the script itself so render workers log the
+  // same way
+  jsonLogs: "MINTER_JSON_LOGS",
+};
+
+module.exports = {
+  CLI_ENV,
+};
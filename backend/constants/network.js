@@ -1,6 +1,8 @@
+// Each network writes its metadata with src/formatters/<value>.js
 const NETWORK = {
   eth: "eth",
   sol: "sol",
+  tez: "tez",
 };
 
 module.exports = {
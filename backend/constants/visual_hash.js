@@ -0,0 +1,8 @@
+// The visual hash of src/visualHash.js has HASH_SIZE * HASH_SIZE bits
+const HASH_SIZE = 8;
+const HASH_BITS = HASH_SIZE * HASH_SIZE;
+
+module.exports = {
+  HASH_SIZE,
+  HASH_BITS,
+};
@@ -1,7 +1,309 @@
 const basePath = process.cwd();
-const { startCreating, buildSetup } = require(`${basePath}/src/main.js`);
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { Command, Argument } = require("commander");
+const { CLI_ENV } = require(`${basePath}/constants/cli.js`);
+const {
+  CONFIG_FILES,
+  getProfile,
+  getProfiles,
+} = require(`${basePath}/src/paths.js`);
 
-(() => {
-  buildSetup();
-  startCreating();
-})();
+const CONTRACT_FIELDS = [
+  "public_mint_start_date",
+  "presale_mint_start_date",
+  "presale_whitelisted_addresses",
+  "presale_whitelisted_addresses_remove",
+  "royalty_share",
+  "royalty_address",
+  "base_uri",
+  "prereveal_token_uri",
+];
+
+const program = new Command();
+
+program
+  .name("minter-dapp-backend")
+  .description("Generate an NFT collection, upload it and manage its contract")
+  .option(
+    "-p, --profile <name>",
+    "Collection in profiles/<name> with its own config, layers and build folder"
+  )
+  .option(
+    "--config <path>",
+    "Config file (.js, .json, .yaml) to use instead of src/config.js or the config of the profile"
+  )
+  .option("-y, --yes", "Answer yes to every confirmation")
+  .showHelpAfterError()
+  .hook("preAction", () => {
+    const { profile, config } = program.opts();
+    if (profile == undefined) {
+      return;
+    }
+    const found = getProfile(profile);
+    if (found == null) {
+      const names = getProfiles().map((_profile) => _profile.name);
+      console.log(
+        `Profile "${profile}" not found, create profiles/${profile} or use one of: ${
+          names.join(", ") || "(none)"
+        }`
+      );
+      process.exit(1);
+    }
+    if (found.config == null && config == undefined) {
+      console.log(
+        `Profile "${profile}" has no config, add one of ${CONFIG_FILES.join(
+          ", "
+        )} to profiles/${profile}`
+      );
+      process.exit(1);
+    }
+  });
+
+/**
+ * Runs a script of the backend in its own node process with the --profile,
+ * --config and --yes of the CLI. The scripts keep working on their own,
+ * useConfig.js is preloaded to swap in the config of the profile or --config.
+ *
+ * @param {String} _script Script relative to the backend folder
+ * @param {Array} _args Arguments for the script
+ * @returns {Number} Exit code of the script
+ */
+const runScript = (_script, _args = []) => {
+  const { profile, config, yes } = program.opts();
+  const env = { ...process.env };
+  if (profile) {
+    env[CLI_ENV.profile] = profile;
+  }
+  if (config) {
+    env[CLI_ENV.config] = path.resolve(basePath, config);
+  }
+  if (yes) {
+    env[CLI_ENV.yes] = "1";
+  }
+  const result = spawnSync(
+    process.execPath,
+    ["-r", `${basePath}/src/useConfig.js`, `${basePath}/${_script}`, ..._args],
+    { stdio: "inherit", env }
+  );
+  if (result.error) {
+    console.log(`Could not run ${_script}: ${result.error.message}`);
+  }
+  // killed by a signal
+  return result.status ?? 1;
+};
+
+// Runs scripts one after another, the first one that fails stops the rest
+const runScripts = (_scripts) => {
+  for (const [script, args] of _scripts) {
+    const status = runScript(script, args);
+    if (status != 0) {
+      process.exitCode = status;
+      return;
+    }
+  }
+};
+
+// Turns parsed options back into flags, eg. {cleanAll: true} into --clean-all
+const toArgs = (_options) =>
+  Object.entries(_options).flatMap(([key, value]) => {
+    const flag = `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+    if (value === true) {
+      return [flag];
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap((item) => [flag, `${item}`]);
+    }
+    return value == undefined || value === false ? [] : [flag, `${value}`];
+  });
+
+program
+  .command("generate", { isDefault: true })
+  .description("Generate the images and metadata of the collection")
+  .option("-s, --seed <seed>", "Seed for every random choice, overrides config")
+  .option(
+    "-d, --date <timestamp>",
+    "Date written to the metadata, in ms since epoch"
+  )
+  .option("-r, --resume", "Continue an unfinished generation")
+  .option(
+    "-c, --clean",
+    "Remove the previous collection, keeps contract and upload files"
+  )
+  .option("--clean-all", "Remove the whole build folder")
+  .option(
+    "--fixed <file>",
+    "CSV or JSON of editions with fixed traits, the rest is random"
+  )
+  .option("--json-logs", "Log one JSON object per line instead of text")
+  .option(
+    "--dry-run",
+    "Only pick the DNA and estimate the capacity of the layer configurations"
+  )
+  .action(({ dryRun, ...options }) => {
+    if (dryRun) {
+      runScripts([
+        [
+          "utils/dry_run.js",
+          toArgs({
+            seed: options.seed,
+            fixed: options.fixed,
+            jsonLogs: options.jsonLogs,
+          }),
+        ],
+      ]);
+      return;
+    }
+    runScripts([["utils/generate.js", toArgs(options)]]);
+  });
+
+program
+  .command("reroll")
+  .description("Give single editions new unique DNA and render only them again")
+  .option("-e, --editions <list>", "Editions to re-roll, eg. 1337 or 12,40-45")
+  .option(
+    "-w, --where <trait=value>",
+    "Re-roll the editions with this trait, repeat to require several",
+    (value, previous) => [...previous, value],
+    []
+  )
+  .option("-s, --seed <seed>", "Seed for the new DNA")
+  .option("-f, --force", "Also re-roll editions that were already uploaded")
+  .action((options) => runScripts([["utils/reroll.js", toArgs(options)]]));
+
+program
+  .command("rarity")
+  .description("Show how often each trait is used")
+  .option(
+    "-m, --from-metadata",
+    "Score the editions from their metadata (rarity_md)"
+  )
+  .option("--rank", "Look up the rank of an edition (rarity_rank)")
+  .action(({ fromMetadata, rank }) => {
+    if (rank) {
+      runScripts([["utils/functions/rarity_rank.js"]]);
+    } else if (fromMetadata) {
+      runScripts([["utils/functions/getRarity_fromMetadata.js"]]);
+    } else {
+      runScripts([["utils/rarity.js"]]);
+    }
+  });
+
+program
+  .command("preview")
+  .description("Create a preview image of the collection")
+  .option("--gif", "Create a preview gif instead")
+  .action(({ gif }) =>
+    runScripts([[gif ? "utils/preview_gif.js" : "utils/preview.js"]])
+  );
+
+program
+  .command("pixelate")
+  .description("Create pixelated versions of the images")
+  .action(() => runScripts([["utils/pixelate.js"]]));
+
+program
+  .command("duplicates")
+  .description("Find editions that look alike")
+  .option("-f, --folder <folder>", "Folder of images to scan")
+  .option("-t, --threshold <bits>", "Bits out of 64 that may differ")
+  .action((options) =>
+    runScripts([["utils/find_duplicates.js", toArgs(options)]])
+  );
+
+program
+  .command("solana")
+  .description("Export build/assets for Candy Machine")
+  .option("--validate", "Check the exported build/assets instead")
+  .action(({ validate }) =>
+    runScripts([
+      [validate ? "utils/validate_solana.js" : "utils/export_solana.js"],
+    ])
+  );
+
+program
+  .command("upload")
+  .description("Upload the images, then the metadata, to IPFS through NFTPort")
+  .option("--files", "Only upload the images")
+  .option("--metadata", "Only upload the metadata")
+  .option(
+    "--generic",
+    "Create the generic metadata for a pre-reveal (create_generic)"
+  )
+  .action(({ files, metadata, generic }) => {
+    if (generic) {
+      runScripts([["utils/nftport/genericMetas.js"]]);
+      return;
+    }
+    const both = !files && !metadata;
+    runScripts(
+      [
+        (files || both) && ["utils/nftport/uploadFiles.js"],
+        (metadata || both) && ["utils/nftport/uploadMetas.js"],
+      ].filter(Boolean)
+    );
+  });
+
+program
+  .command("deploy")
+  .description("Deploy the contract through NFTPort")
+  .option("--status", "Get the details of the deployed contract")
+  .action(({ status }) =>
+    runScripts([
+      [
+        status
+          ? "utils/nftport/retrieveContract.js"
+          : "utils/nftport/deployContract.js",
+      ],
+    ])
+  );
+
+program
+  .command("update")
+  .description(
+    "Update a field of the contract with its value from the config, or the names, descriptions and image URIs of the metadata"
+  )
+  .addArgument(
+    new Argument("<field>", "What to update").choices([
+      "info",
+      ...CONTRACT_FIELDS,
+    ])
+  )
+  .action((field) =>
+    runScripts([
+      field == "info"
+        ? ["utils/update_info.js"]
+        : ["utils/nftport/updateContract.js", ["-u", field]],
+    ])
+  );
+
+program
+  .command("refresh")
+  .description("Refresh the metadata of editions on OpenSea")
+  .requiredOption("--start <edition>", "First edition to refresh")
+  .requiredOption("--end <edition>", "Last edition to refresh")
+  .action(({ start, end }) =>
+    runScripts([["utils/functions/refreshOpensea.js", [start, end]]])
+  );
+
+program
+  .command("profiles")
+  .description("List the collections in profiles/")
+  .action(() => {
+    const profiles = getProfiles();
+    if (profiles.length == 0) {
+      console.log(
+        "No profiles yet, create profiles/<name> with a config and a layers folder."
+      );
+      return;
+    }
+    profiles.forEach((profile) =>
+      console.log(
+        `${profile.name} - ${
+          profile.config ? path.basename(profile.config) : "no config"
+        }`
+      )
+    );
+  });
+
+program.parse(process.argv);
@@ -0,0 +1,58 @@
+class ImageCache {
+  constructor(_maxBytes) {
+    this.maxBytes = _maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Map keeps insertion order, so the first entry is the least recently used
+  get = (_key, _load) => {
+    const cached = this.entries.get(_key);
+    if (cached) {
+      this.hits++;
+      this.entries.delete(_key);
+      this.entries.set(_key, cached);
+      return cached.image;
+    }
+    this.misses++;
+    const entry = { bytes: 0 };
+    entry.image = _load().then((_image) => {
+      // decoded RGBA pixels
+      entry.bytes = _image.width * _image.height * 4;
+      this.bytes += entry.bytes;
+      this.evict();
+      return _image;
+    });
+    // a failed load is tried again next time
+    entry.image.catch(() => this.entries.delete(_key));
+    this.entries.set(_key, entry);
+    return entry.image;
+  };
+
+  evict = () => {
+    for (const [key, entry] of this.entries) {
+      if (this.bytes <= this.maxBytes) {
+        break;
+      }
+      // images still loading have no size yet
+      if (entry.bytes > 0) {
+        this.entries.delete(key);
+        this.bytes -= entry.bytes;
+      }
+    }
+  };
+
+  stats = () => {
+    const lookups = this.hits + this.misses;
+    const hitRate = lookups > 0 ? (this.hits / lookups) * 100 : 0;
+    return `${this.hits} hits, ${this.misses} misses (${hitRate.toFixed(
+      1
+    )}% hit rate), ${(this.bytes / 1024 / 1024).toFixed(1)} MB in ${
+      this.entries.size
+    } images`;
+  };
+}
+
+module.exports = ImageCache;
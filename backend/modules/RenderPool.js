@@ -0,0 +1,87 @@
+const { Worker } = require("worker_threads");
+
+class RenderPool {
+  constructor(_size, _workerFile) {
+    this.size = _size;
+    this.workerFile = _workerFile;
+    this.queue = [];
+    this.idle = [];
+    this.workers = [];
+    this.closed = false;
+    this.initWorkers();
+  }
+
+  initWorkers = () => {
+    for (let i = 0; i < this.size; i++) {
+      const worker = new Worker(this.workerFile);
+      worker.task = null;
+      worker.on("message", (_result) => {
+        const task = worker.task;
+        worker.task = null;
+        this.idle.push(worker);
+        _result.error
+          ? task.reject(
+              new Error(`Edition ${_result.edition}: ${_result.error}`)
+            )
+          : task.resolve(_result);
+        this.next();
+      });
+      // "exit" follows the error, the worker is dropped there
+      worker.on("error", (_error) => {
+        worker.error = _error;
+      });
+      worker.on("exit", (_code) => {
+        if (!this.closed) {
+          this.dropWorker(worker, _code);
+        }
+      });
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  };
+
+  // A crashed worker fails the edition it was rendering, the queue goes on with
+  // the workers left. Without any worker left nothing of it can be rendered.
+  dropWorker = (_worker, _code) => {
+    this.workers = this.workers.filter((worker) => worker != _worker);
+    this.idle = this.idle.filter((worker) => worker != _worker);
+    const error =
+      _worker.error ??
+      new Error(`Render worker stopped with exit code ${_code}`);
+    _worker.task?.reject(error);
+    _worker.task = null;
+    if (this.workers.length == 0) {
+      this.queue
+        .splice(0)
+        .forEach((task) =>
+          task.reject(new Error(`No render worker left: ${error.message}`))
+        );
+    }
+  };
+
+  next = () => {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      worker.task = this.queue.shift();
+      worker.postMessage(worker.task.job);
+    }
+  };
+
+  render = (_job) => {
+    return new Promise((resolve, reject) => {
+      if (this.workers.length == 0) {
+        reject(new Error("No render worker left"));
+        return;
+      }
+      this.queue.push({ job: _job, resolve, reject });
+      this.next();
+    });
+  };
+
+  close = async () => {
+    this.closed = true;
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+  };
+}
+
+module.exports = RenderPool;
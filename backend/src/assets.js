@@ -0,0 +1,284 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const { layersDir } = require(`${basePath}/src/paths.js`);
+const {
+  format,
+  rarityDelimiter,
+  imageCacheSize,
+} = require(`${basePath}/src/config.js`);
+const ImageCache = require(`${basePath}/modules/ImageCache.js`);
+const { getTextElements } = require(`${basePath}/src/textOverlay.js`);
+
+const ELEMENT_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".svg", ".gif"];
+
+const isHidden = (_file) => /(^|\/)\.[^\/\.]/g.test(_file);
+
+const isElementFile = (_file) =>
+  ELEMENT_EXTENSIONS.includes(path.extname(_file).toLowerCase());
+
+const getRarityWeight = (_str, _hasExtension = true) => {
+  let nameWithoutExtension = _hasExtension ? path.parse(_str).name : _str;
+  var nameWithoutWeight = Number(
+    nameWithoutExtension.split(rarityDelimiter).pop()
+  );
+  if (isNaN(nameWithoutWeight)) {
+    nameWithoutWeight = 1;
+  }
+  return nameWithoutWeight;
+};
+
+const cleanName = (_str, _hasExtension = true) => {
+  let nameWithoutExtension = _hasExtension ? path.parse(_str).name : _str;
+  var nameWithoutWeight = nameWithoutExtension.split(rarityDelimiter).shift();
+  return nameWithoutWeight;
+};
+
+// Splits one CSV line, cells can be quoted to hold commas
+const parseCsvLine = (_line) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < _line.length; i++) {
+    const char = _line[i];
+    if (quoted && char == '"' && _line[i + 1] == '"') {
+      cell += '"';
+      i++;
+    } else if (char == '"') {
+      quoted = !quoted;
+    } else if (char == "," && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Reads the names and weights of a layer folder from a manifest, so files do
+ * not have to be renamed with the rarity delimiter:
+ * - weights.json: { "gold.png": 2.5, "red eyes.webp": { "name": "Red", "weight": 3 } }
+ * - weights.csv: a header with `file`, `weight` and optionally `name`, then one
+ *   line per file
+ * Files missing from the manifest keep the name and weight of their filename.
+ *
+ * @param {String} _path Folder of the layer, ending with a slash
+ * @returns {Object|null} filename => {name, weight}, null without a manifest
+ * @throws {Error} When a row of weights.csv has no file name
+ */
+const readManifest = (_path) => {
+  if (fs.existsSync(`${_path}weights.json`)) {
+    const manifest = JSON.parse(fs.readFileSync(`${_path}weights.json`));
+    return Object.entries(manifest).reduce(
+      (entries, [file, value]) => ({
+        ...entries,
+        [file]:
+          typeof value == "object"
+            ? { name: value.name, weight: value.weight }
+            : { weight: value },
+      }),
+      {}
+    );
+  }
+  if (fs.existsSync(`${_path}weights.csv`)) {
+    const [header, ...lines] = fs
+      .readFileSync(`${_path}weights.csv`, "utf8")
+      .split(/\r?\n/)
+      .filter((line) => line.trim() != "")
+      .map(parseCsvLine);
+    // empty cells keep the name or weight of the filename
+    const cell = (_cells, _name) =>
+      header.indexOf(_name) != -1 && _cells[header.indexOf(_name)] != ""
+        ? _cells[header.indexOf(_name)]
+        : undefined;
+    return lines.reduce((entries, cells, index) => {
+      if (cell(cells, "file") == undefined) {
+        throw new Error(`weights.csv row ${index + 1} has no file name`);
+      }
+      return {
+        ...entries,
+        [cell(cells, "file")]: {
+          name: cell(cells, "name"),
+          weight:
+            cell(cells, "weight") != undefined
+              ? Number(cell(cells, "weight"))
+              : undefined,
+        },
+      };
+    }, {});
+  }
+  return null;
+};
+
+/**
+ * An element can have a sidecar file with the same name and a .json extension,
+ * eg. "gold branch#20.json" next to "gold branch#20.png", holding settings for
+ * that element only such as its `placement`.
+ */
+const getElementSettings = (_path) => {
+  const sidecar = fs.statSync(_path).isDirectory()
+    ? `${_path}.json`
+    : `${_path.replace(/\.[^\/.]+$/, "")}.json`;
+  return fs.existsSync(sidecar) ? JSON.parse(fs.readFileSync(sidecar)) : {};
+};
+
+/**
+ * Animated elements are either a folder of frames, eg. "flap#10/0.png",
+ * "flap#10/1.png"..., or a sprite sheet with a sidecar setting the number of
+ * frames: { "animation": { "frames": 8, "columns": 4 } }. Sheet frames are read
+ * left to right, top to bottom and `columns` defaults to all frames in one row.
+ */
+const getAnimation = (_path, _isFolder, _settings) => {
+  if (_isFolder) {
+    const paths = fs
+      .readdirSync(_path)
+      .filter((item) => !isHidden(item) && isElementFile(item))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map((frame) => `${_path}/${frame}`);
+    return { frames: paths.length, paths };
+  }
+  if (_settings.animation != undefined) {
+    return {
+      frames: _settings.animation.frames,
+      columns: _settings.animation.columns ?? _settings.animation.frames,
+    };
+  }
+  return undefined;
+};
+
+const getElements = (_path) => {
+  const manifest = readManifest(_path);
+  return fs
+    .readdirSync(_path)
+    .filter((item) => !isHidden(item))
+    .filter(
+      (item) =>
+        isElementFile(item) || fs.statSync(`${_path}${item}`).isDirectory()
+    )
+    .map((i, index) => {
+      const isFolder = fs.statSync(`${_path}${i}`).isDirectory();
+      const settings = getElementSettings(`${_path}${i}`);
+      return {
+        id: index,
+        name: manifest?.[i]?.name ?? cleanName(i, !isFolder),
+        filename: i,
+        path: `${_path}${i}`,
+        weight: manifest?.[i]?.weight ?? getRarityWeight(i, !isFolder),
+        placement: settings.placement,
+        animation: getAnimation(`${_path}${i}`, isFolder, settings),
+      };
+    });
+};
+
+/**
+ * Elements of a layer linked to another one live in one subfolder per element
+ * of the parent layer, eg. layers/Hand/gold/ for the Body element "gold". Ids
+ * stay unique across the subfolders and the filename keeps the subfolder so the
+ * DNA tells the variants apart.
+ *
+ * @param {String} _path Folder of the linked layer
+ * @returns {Array} Elements of every variant subfolder
+ */
+const getLinkedElements = (_path) => {
+  let elements = [];
+  fs.readdirSync(_path, { withFileTypes: true })
+    .filter((item) => item.isDirectory() && !isHidden(item.name))
+    .forEach((variant) => {
+      getElements(`${_path}${variant.name}/`).forEach((element) => {
+        elements.push({
+          ...element,
+          id: elements.length,
+          filename: `${variant.name}/${element.filename}`,
+          variant: variant.name,
+        });
+      });
+    });
+  return elements;
+};
+
+const getLayerElements = (layerObj) => {
+  if (layerObj.options?.["text"] != undefined) {
+    return getTextElements(layerObj);
+  }
+  return layerObj.options?.["linkedTo"] != undefined
+    ? getLinkedElements(`${layersDir}/${layerObj.name}/`)
+    : getElements(`${layersDir}/${layerObj.name}/`);
+};
+
+// one cache per thread, render workers each keep their own
+const imageCache = new ImageCache((imageCacheSize ?? 512) * 1024 * 1024);
+
+// width of an SVG without a width attribute comes from its viewBox
+const getSvgWidth = async (_path) => {
+  const sharp = require(`${basePath}/node_modules/sharp`);
+  const { width } = await sharp(_path).metadata();
+  if (width > 0) {
+    return width;
+  }
+  const viewBox =
+    /viewBox\s*=\s*["']\s*[-\d.e]+[\s,]+[-\d.e]+[\s,]+([\d.e]+)/i.exec(
+      fs.readFileSync(_path, "utf8")
+    );
+  return viewBox ? Number(viewBox[1]) : null;
+};
+
+// canvas reads PNG, JPEG and GIF itself, WebP and SVG go through sharp. Build
+// images are each drawn once, scripts reading them use this without the cache
+const decodeAsset = async (_path, _fill = true) => {
+  const { loadImage } = require(`${basePath}/node_modules/canvas`);
+  const extension = path.extname(_path).toLowerCase();
+  if (extension != ".webp" && extension != ".svg") {
+    return loadImage(_path);
+  }
+  const sharp = require(`${basePath}/node_modules/sharp`);
+  if (extension == ".webp") {
+    return loadImage(await sharp(_path).png().toBuffer());
+  }
+  // placed elements keep their own size, scale works on that
+  if (!_fill) {
+    return loadImage(await sharp(_path).png().toBuffer());
+  }
+  // render the vector at the density that gives the format width, 72 dpi is
+  // the size of the SVG itself
+  const width = await getSvgWidth(_path);
+  return loadImage(
+    await sharp(_path, { density: width ? (72 * format.width) / width : 72 })
+      .resize(format.width, format.height, { fit: "fill" })
+      .png()
+      .toBuffer()
+  );
+};
+
+/**
+ * Loads an image for drawing. Decoded images are cached by path, so an element
+ * used by many editions is only read from disk once. SVG is rasterized at the
+ * `format` size, or at its own size for elements with a placement.
+ *
+ * @param {String} _path Image file
+ * @param {Boolean} _fill Whether the image is stretched over the canvas
+ * @returns {Promise<Image>} Image that can be drawn on a canvas
+ */
+const loadAsset = (_path, _fill = true) => {
+  const key =
+    _fill || path.extname(_path).toLowerCase() != ".svg"
+      ? _path
+      : `${_path}?placed`;
+  return imageCache.get(key, () => decodeAsset(_path, _fill));
+};
+
+const getImageCacheStats = () => imageCache.stats();
+
+module.exports = {
+  ELEMENT_EXTENSIONS,
+  isElementFile,
+  parseCsvLine,
+  readManifest,
+  getElements,
+  getLayerElements,
+  decodeAsset,
+  loadAsset,
+  getImageCacheStats,
+};
@@ -0,0 +1,99 @@
+const basePath = process.cwd();
+const { countCombinations } = require(`${basePath}/src/rules.js`);
+
+// counting with rules walks every combination, so it stops here
+const COUNT_LIMIT = 1000000;
+// share of the combinations a configuration may use before re-rolls pile up
+const CAPACITY_WARNING = 0.5;
+
+// elements with a weight of 0 are never picked, absence is picked by chance
+const getPickableLayers = (_layers) =>
+  _layers.map((layer) => ({
+    ...layer,
+    elements: layer.elements.filter(
+      (element) => element.absent || element.weight > 0
+    ),
+  }));
+
+/**
+ * Counts the distinct DNA of a layer configuration. bypassDNA (and hidden)
+ * layers do not make an edition unique, so they are left out. Without rules
+ * this is the product of the element counts, with rules the combinations are
+ * walked up to COUNT_LIMIT.
+ *
+ * @param {Array} _layers Layers built by layersSetup
+ * @param {Array} _rules Compiled rules, see rules.js
+ * @returns {{count: Number, exact: Boolean}} exact is false when the count
+ * stopped at COUNT_LIMIT
+ */
+const countDnaCombinations = (_layers, _rules) => {
+  const layers = getPickableLayers(_layers);
+  if (_rules.length == 0) {
+    return {
+      count: layers
+        .filter((layer) => !layer.bypassDNA)
+        .reduce((total, layer) => total * layer.elements.length, 1),
+      exact: true,
+    };
+  }
+  const count = countCombinations(layers, _rules, COUNT_LIMIT);
+  return { count, exact: count < COUNT_LIMIT };
+};
+
+/**
+ * Expected number of editions per element from the weights alone. Quota
+ * layers are exact, optional layers share their presence between elements and
+ * the rest goes to "None". Rules are not taken into account.
+ *
+ * @param {Array} _layers Layers built by layersSetup
+ * @param {Array} _quotas Quotas from checkQuotas
+ * @param {Number} _editions Editions of this layer configuration
+ * @returns {Array} Per layer its name and {name, count} of every element
+ */
+const getExpectedCounts = (_layers, _quotas, _editions) => {
+  return _layers.map((layer, layerIndex) => {
+    const quota = _quotas?.[layerIndex];
+    const present = layer.elements.filter((element) => !element.absent);
+    const totalWeight = present.reduce(
+      (sum, element) => sum + element.weight,
+      0
+    );
+    const presence = layer.presence ?? 1;
+    return {
+      name: layer.name,
+      elements: layer.elements.map((element) => ({
+        name: element.name,
+        count: quota
+          ? quota[element.id]
+          : element.absent
+          ? (1 - presence) * _editions
+          : totalWeight > 0
+          ? (element.weight / totalWeight) * presence * _editions
+          : 0,
+      })),
+    };
+  });
+};
+
+/**
+ * Warns when the editions use a large share of the combinations, the closer to
+ * all of them the more picks are rejected as duplicates.
+ */
+const checkCapacity = (_combinations, _editions) => {
+  const share = _editions / _combinations.count;
+  if (_combinations.exact && share > 1) {
+    return [
+      `Only ${_combinations.count} unique combinations exist but ${_editions} editions are needed`,
+    ];
+  }
+  if (_combinations.exact && share > CAPACITY_WARNING) {
+    return [
+      `${_editions} editions use ${(share * 100).toFixed(1)}% of the ${
+        _combinations.count
+      } unique combinations, expect many re-rolls. Add elements or layers to make room.`,
+    ];
+  }
+  return [];
+};
+
+module.exports = { countDnaCombinations, getExpectedCounts, checkCapacity };
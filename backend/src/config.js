@@ -1,10 +1,10 @@
 require('dotenv').config();
 const basePath = process.cwd();
-const fs = require("fs");
 const { MODE } = require(`${basePath}/constants/blend_mode.js`);
 const { NETWORK } = require(`${basePath}/constants/network.js`);
+const { getDeployedContractAddress } = require(`${basePath}/src/contract.js`);
 
-const network = NETWORK.eth;
+const network = NETWORK.eth; // NETWORK.eth, NETWORK.sol or NETWORK.tez
 
 // General metadata for Ethereum
 const namePrefix = "Dove of Peace";
@@ -22,6 +22,23 @@ const layerConfigurations = [
       { name: "Hand" },
       { name: "Beak" },
     ],
+    // A layer can take its element from the subfolder matching another layer's element,
+    // eg. { name: "Hand", options: { linkedTo: "Body" } } uses layers/Hand/gold/ for a gold Body.
+    // Small sprites can be placed instead of stretched over the canvas, eg.
+    // { name: "Beak", options: { placement: { x: 1000, y: 900, anchor: { x: 0.5, y: 0.5 }, jitter: { x: 20, rotation: 5 } } } }
+    // Weights of a layer can be exact counts or percentages of the editions instead of chances:
+    // { name: "Body", options: { quota: "count" } } or { name: "Body", options: { quota: "percent" } }
+    // A layer can be present in only some editions, absent ones get no attribute or "None" with absentAttribute: "none":
+    // { name: "Hand", options: { presence: 0.4, absentAttribute: "none" } }
+    // Hidden layers are drawn but not added to the attributes, eg. { name: "Shadow", options: { hidden: true } }
+    // Text layers draw a template with {edition}, {name} or the value of another layer, fonts come from the fonts/ folder:
+    // { name: "Serial", options: { text: { template: "#{edition}", x: 100, y: 1900, size: 64, family: "Press Start", color: "#ffffff",
+    //   stroke: { color: "#000000", width: 4 }, rotation: 0, align: "left", attribute: true } } }
+    // Optional compatibility rules between elements of different layers.
+    // Use the element name without the rarity weight, eg:
+    // { layer: "Eyes", element: "closed", excludes: { layer: "Beak", elements: ["green branch", "dark green branch"] } },
+    // { layer: "Body", element: "gold", requires: { layer: "Hand", elements: ["yellow", "peach"] } },
+    rules: [],
   },
 ];
 
@@ -29,16 +46,44 @@ const shuffleLayerConfigurations = true;
 
 const debugLogs = false;
 
+// Set a seed to make the generation reproducible, eg: "dove-of-peace".
+// When null a random seed is used. The seed of each run is saved to build/_seed.json
+const seed = null;
+
 const format = {
   width: 2000,
   height: 2000,
   smoothing: false,
 };
 
+// Image files written for every edition, each to its own build folder.
+// format: png, jpeg or webp. width/height default to the format above (height keeps the ratio).
+// The primary output is the metadata "image", outputs with addToFiles are listed in "properties.files" (not on Solana).
+// baseUri defaults to the baseUri above.
+const outputs = [
+  { folder: "images", format: "png", primary: true },
+  // { folder: "thumbnails", format: "webp", width: 512, quality: 80, addToFiles: true },
+  // { folder: "previews", format: "jpeg", width: 1024, quality: 90 },
+];
+
+// Number of worker threads rendering images in parallel. 1 renders in the main thread.
+const renderWorkers = 1;
+
+// MB of decoded layer images kept in memory by each render thread, least recently used images are dropped first.
+const imageCacheSize = 512;
+
 const extraMetadata = {
   external_url: "https://dove-of-peace.com", // Replace with your website or remove this line if you do not have one.
 };
 
+// Numeric stats added up over the elements of every edition, set per element in the _traits.json of a layer.
+// Each stat becomes an attribute, eg: Strength: { display_type: "boost_number", max_value: 100 }
+const traitStats = {};
+
+// Extra attributes computed from the other attributes of every edition, eg:
+// (attributes) => [{ trait_type: "Trait Count", value: attributes.length }]
+const computedAttributes = (_attributes) => [];
+
 // NFTPort Info
 
 // ** REQUIRED **
@@ -77,17 +122,7 @@ const GENERIC_DESCRIPTION = "Dove of Peace is a collection of 5000 NFTs created
 const GENERIC_IMAGE = "https://ipfs.io/ipfs/bafybeig76jgwlf66yfs2t7ow53w5xu3dqul5ngr5p25f26phesdssdi4my"; // Replace with your generic image that will display for all NFTs pre-reveal.
 
 // Automatically set contract address if deployed using the deployContract.js script
-try {
-  const rawContractData = fs.readFileSync(
-    `${basePath}/build/contract/_contract.json`
-  );
-  const contractData = JSON.parse(rawContractData);
-  if (contractData.response === "OK" && contractData.error === null) {
-    CONTRACT_ADDRESS = contractData.contract_address;
-  }
-} catch (error) {
-  // Do nothing, falling back to manual contract address
-}
+CONTRACT_ADDRESS = getDeployedContractAddress() ?? CONTRACT_ADDRESS;
 // END NFTPort Info
 
 const solanaMetadata = {
@@ -100,13 +135,36 @@ const solanaMetadata = {
       share: 100,
     },
   ],
+  // The collection NFT of build/assets/collection.json. image is a file in the backend folder, null uses edition 0.
+  collection: {
+    name: "Dove of Peace",
+    description: null, // null uses description
+    image: null,
+  },
 };
 
+// TZIP-21 metadata when network is NETWORK.tez
+const tezosMetadata = {
+  symbol: "DOVE",
+  royalties: 1000, // Share of secondary market sales in basis points, 1000 = 10%, split between the creators by their share
+  creators: [
+    {
+      address: "tz1VSUr8wwNhLAzempoch5d6hLRiTh8Cjcjb",
+      share: 100,
+    },
+  ],
+  thumbnailOutput: null, // folder of an entry of outputs to use as thumbnailUri, eg. "previews". null uses the primary output
+  tags: [],
+};
+
+// With animated elements (a folder of frames or a sprite sheet) each gif loops
+// the composite of all layers. maxFrames caps the frames needed to loop every trait.
 const gif = {
   export: false,
   repeat: 0,
   quality: 100,
   delay: 500,
+  maxFrames: 120,
 };
 
 const text = {
@@ -137,6 +195,16 @@ const rarityDelimiter = "#";
 
 const uniqueDnaTorrance = 10000;
 
+// Different DNA can still look the same, eg. pixel identical elements, a layer covered by a later one or bypassDNA layers.
+// check: hash every rendered edition and compare it to the editions before it.
+// threshold: bits out of 64 that may differ for two editions to count as duplicates, 0 only matches identical images.
+// action: "flag" lists them in build/_visual_duplicates.json, "reroll" picks new DNA instead (editions then render one at a time).
+const visualDuplicates = {
+  check: false,
+  threshold: 0,
+  action: "flag",
+};
+
 const preview = {
   thumbPerRow: 5,
   thumbWidth: 50,
@@ -155,21 +223,29 @@ const preview_gif = {
 
 module.exports = {
   format,
+  outputs,
+  renderWorkers,
+  imageCacheSize,
   baseUri,
   description,
   background,
   uniqueDnaTorrance,
+  visualDuplicates,
   layerConfigurations,
   rarityDelimiter,
   preview,
   shuffleLayerConfigurations,
   debugLogs,
+  seed,
   extraMetadata,
+  traitStats,
+  computedAttributes,
   pixelFormat,
   text,
   namePrefix,
   network,
   solanaMetadata,
+  tezosMetadata,
   gif,
   preview_gif,
   AUTH,
@@ -0,0 +1,27 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const { buildDir } = require(`${basePath}/src/paths.js`);
+
+/**
+ * Address of the contract deployed with deploy_contract, as saved by
+ * get_contract in build/contract/_contract.json of the selected profile.
+ *
+ * @returns {String|null} The address, null when nothing was deployed yet
+ */
+const getDeployedContractAddress = () => {
+  try {
+    const contractData = JSON.parse(
+      fs.readFileSync(`${buildDir}/contract/_contract.json`)
+    );
+    if (contractData.response === "OK" && contractData.error === null) {
+      return contractData.contract_address;
+    }
+  } catch (error) {
+    // Do nothing, falling back to manual contract address
+  }
+  return null;
+};
+
+module.exports = {
+  getDeployedContractAddress,
+};
@@ -0,0 +1,325 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const { parseCsvLine } = require(`${basePath}/src/assets.js`);
+const { getAllowedElements } = require(`${basePath}/src/rules.js`);
+const { getAttribute } = require(`${basePath}/src/traits.js`);
+
+// columns of a row that are not layers
+const EDITION_COLUMN = "edition";
+const LAYER_CONFIG_COLUMN = "layerConfiguration";
+
+/**
+ * Reads the rows of a trait spreadsheet, one row per edition:
+ * - .csv: a header with the layers, then one line per edition
+ * - .json: [{ "Background": "Blue", "Eyes": "Laser", ... }, ...], the values
+ *   can also be `attributes` like in the metadata
+ * `edition` and `layerConfiguration` columns are optional.
+ *
+ * @param {String} _file Path of the spreadsheet
+ * @returns {Array} Per row an object of column => value, empty cells left out
+ */
+const readFixedRows = (_file) => {
+  if (path.extname(_file).toLowerCase() == ".csv") {
+    const [header, ...lines] = fs
+      .readFileSync(_file, "utf8")
+      .split(/\r?\n/)
+      .filter((line) => line.trim() != "")
+      .map(parseCsvLine);
+    return lines.map((cells) =>
+      header.reduce(
+        (row, column, index) =>
+          cells[index] ? { ...row, [column]: cells[index] } : row,
+        {}
+      )
+    );
+  }
+  return JSON.parse(fs.readFileSync(_file)).map(({ attributes, ...row }) =>
+    Object.entries({
+      ...row,
+      ...(attributes ?? []).reduce(
+        (traits, attribute) => ({
+          ...traits,
+          [attribute.trait_type ?? attribute.name]: attribute.value,
+        }),
+        {}
+      ),
+    }).reduce(
+      (cells, [column, value]) =>
+        value == null || value === "" ? cells : { ...cells, [column]: value },
+      {}
+    )
+  );
+};
+
+// a value is the element name or the attribute value the element gets
+const isElementValue = (_layer, _element, _value) =>
+  _element.name == _value ||
+  (!_element.absent &&
+    String(getAttribute({ ..._layer, selectedElement: _element }).value) ==
+      _value);
+
+/**
+ * Finds the elements a row names for the layers of one layer configuration.
+ * Columns are trait types (display names) or layer folders. Layers the row
+ * leaves empty are picked at random later, "None" is the absent element of an
+ * optional layer.
+ *
+ * @returns {{picked: Map, errors: Array}} picked is layer index => element
+ */
+const resolveRow = (_row, { layers, rules }) => {
+  const errors = [];
+  const picked = new Map();
+  Object.keys(_row)
+    .filter((column) => ![EDITION_COLUMN, LAYER_CONFIG_COLUMN].includes(column))
+    .filter(
+      (column) =>
+        !layers.some((layer) => layer.name == column || layer.folder == column)
+    )
+    .forEach((column) => errors.push(`there is no layer "${column}"`));
+  layers.forEach((layer, layerIndex) => {
+    const value = _row[layer.name] ?? _row[layer.folder];
+    if (value == undefined) {
+      return;
+    }
+    if (layer.text != undefined) {
+      errors.push(
+        `layer "${layer.name}" is a text layer, its text comes from its template`
+      );
+      return;
+    }
+    const candidates = layer.elements.filter((element) =>
+      isElementValue(layer, element, String(value))
+    );
+    if (candidates.length == 0) {
+      errors.push(`layer "${layer.name}" has no element "${value}"`);
+      return;
+    }
+    // linked layers can have the same name in the folder of every parent
+    const allowed = getAllowedElements(
+      layers,
+      rules,
+      layerIndex,
+      picked
+    ).filter((element) => candidates.includes(element));
+    if (allowed.length == 0) {
+      errors.push(
+        `"${value}" of layer "${layer.name}" is not allowed by the rules or links with the other traits of the row`
+      );
+      return;
+    }
+    picked.set(layerIndex, allowed[0]);
+  });
+  return { picked, errors };
+};
+
+/**
+ * Resolves a trait spreadsheet into the editions to create with fixed traits.
+ * A row without `layerConfiguration` goes to the first layer configuration
+ * that has all its traits. Everything is checked before a file is written:
+ * the traits against the layer folders and rules, the edition numbers, the
+ * number of rows and quotas of every layer configuration and that no two rows
+ * have the same traits.
+ *
+ * @param {String} _file Path of the spreadsheet
+ * @param {Array} _layerSetups {layers, rules, quotas} per layer configuration
+ * @param {Array} _editionTargets Last edition count of every layer configuration
+ * @param {Number} _lastEdition Highest edition number of the collection
+ * @param {Array} _legendaries Legendaries, their editions are taken
+ * @returns {{fixed: Array, errors: Array}} fixed has per row {row, edition,
+ * layerConfigIndex, picks}, picks are [layer index, element id] pairs
+ */
+const getFixedEditions = (
+  _file,
+  _layerSetups,
+  _editionTargets,
+  _lastEdition,
+  _legendaries
+) => {
+  const errors = [];
+  if (!fs.existsSync(_file)) {
+    return { fixed: [], errors: [`Fixed editions: ${_file} does not exist`] };
+  }
+  let rows;
+  try {
+    rows = readFixedRows(_file);
+  } catch (error) {
+    return {
+      fixed: [],
+      errors: [`Fixed editions: ${_file} can not be read, ${error.message}`],
+    };
+  }
+  const fixed = [];
+  rows.forEach((row, index) => {
+    const rowErrors = [];
+    let edition = null;
+    if (row[EDITION_COLUMN] != undefined) {
+      edition = Number(row[EDITION_COLUMN]);
+      if (!Number.isInteger(edition) || edition < 0 || edition > _lastEdition) {
+        rowErrors.push(
+          `edition must be a whole number from 0 to ${_lastEdition}, got "${row[EDITION_COLUMN]}"`
+        );
+      } else if (fixed.some((other) => other.edition == edition)) {
+        rowErrors.push(`edition ${edition} is in the spreadsheet twice`);
+      } else if (
+        _legendaries.some((legendary) => legendary.edition == edition)
+      ) {
+        rowErrors.push(`edition ${edition} is a legendary`);
+      }
+    }
+    let layerConfigIndex = null;
+    let picked = null;
+    if (row[LAYER_CONFIG_COLUMN] != undefined) {
+      layerConfigIndex = Number(row[LAYER_CONFIG_COLUMN]);
+      if (_layerSetups[layerConfigIndex] == undefined) {
+        rowErrors.push(
+          `there is no layer configuration "${row[LAYER_CONFIG_COLUMN]}"`
+        );
+      } else {
+        const resolved = resolveRow(row, _layerSetups[layerConfigIndex]);
+        rowErrors.push(...resolved.errors);
+        picked = resolved.picked;
+      }
+    } else {
+      const resolved = _layerSetups.map((setup) => resolveRow(row, setup));
+      layerConfigIndex = resolved.findIndex(
+        (result) => result.errors.length == 0
+      );
+      if (layerConfigIndex == -1) {
+        // the first layer configuration tells best what is wrong
+        rowErrors.push(...resolved[0].errors);
+      } else {
+        picked = resolved[layerConfigIndex].picked;
+      }
+    }
+    if (rowErrors.length > 0) {
+      rowErrors.forEach((error) => errors.push(`Row ${index + 1}: ${error}`));
+      return;
+    }
+    fixed.push({
+      row: index + 1,
+      edition,
+      layerConfigIndex,
+      picks: [...picked].map(([layerIndex, element]) => [
+        layerIndex,
+        element.id,
+      ]),
+    });
+  });
+
+  _layerSetups.forEach(({ layers, quotas }, layerConfigIndex) => {
+    const rowsOfConfig = fixed.filter(
+      (entry) => entry.layerConfigIndex == layerConfigIndex
+    );
+    const editions =
+      _editionTargets[layerConfigIndex] -
+      (_editionTargets[layerConfigIndex - 1] ?? 0);
+    if (rowsOfConfig.length > editions) {
+      errors.push(
+        `Fixed editions: ${rowsOfConfig.length} rows use layer configuration ${layerConfigIndex} but it only creates ${editions} editions`
+      );
+    }
+    quotas.forEach((quota, layerIndex) => {
+      if (quota == null) {
+        return;
+      }
+      layers[layerIndex].elements.forEach((element) => {
+        const used = rowsOfConfig.filter((entry) =>
+          entry.picks.some(
+            ([index, elementId]) =>
+              index == layerIndex && elementId == element.id
+          )
+        ).length;
+        if (used > quota[element.id]) {
+          errors.push(
+            `Fixed editions: ${used} rows use "${element.name}" of layer "${
+              layers[layerIndex].name
+            }" but its quota is ${quota[element.id]}`
+          );
+        }
+      });
+    });
+    // rows that name every layer of the DNA always get the same DNA
+    const complete = new Map();
+    rowsOfConfig.forEach((entry) => {
+      const elements = layers.map((layer, layerIndex) =>
+        layer.bypassDNA
+          ? ""
+          : entry.picks.find(([index]) => index == layerIndex)?.[1]
+      );
+      if (elements.includes(undefined)) {
+        return;
+      }
+      const key = elements.join("-");
+      if (complete.has(key)) {
+        errors.push(
+          `Row ${entry.row}: same traits as row ${complete.get(key)}`
+        );
+      } else {
+        complete.set(key, entry.row);
+      }
+    });
+  });
+  return { fixed, errors };
+};
+
+/**
+ * Takes the edition numbers of rows with an `edition` out of the shuffled
+ * edition numbers. Like legendaries, a number that falls outside the editions
+ * the collection uses is swapped in.
+ *
+ * @param {Array} _fixed Fixed editions from getFixedEditions
+ * @param {Array} _abstractedIndexes Shuffled edition numbers
+ * @param {Number} _total Editions of the collection
+ * @returns {Array} Edition numbers left for the other editions
+ */
+const placeFixedEditions = (_fixed, _abstractedIndexes, _total) => {
+  const indexes = [..._abstractedIndexes];
+  _fixed
+    .filter((entry) => entry.edition != null)
+    .forEach((entry, placed) => {
+      let position = indexes.indexOf(entry.edition);
+      const lastUsed = _total - placed - 1;
+      if (position > lastUsed) {
+        [indexes[position], indexes[lastUsed]] = [
+          indexes[lastUsed],
+          indexes[position],
+        ];
+        position = lastUsed;
+      }
+      indexes.splice(position, 1);
+    });
+  return indexes;
+};
+
+// layer index => element the row names, for createDna
+const getFixedPicks = (_fixed, _layers) =>
+  new Map(
+    _fixed.picks.map(([layerIndex, elementId]) => [
+      layerIndex,
+      _layers[layerIndex].elements.find((element) => element.id == elementId),
+    ])
+  );
+
+/**
+ * Quotas minus the elements the given rows name, so the random traits of a
+ * row can not use up the quota a later row needs.
+ */
+const reserveQuotas = (_quotas, _fixed) => {
+  const quotas = JSON.parse(JSON.stringify(_quotas));
+  _fixed.forEach((entry) =>
+    entry.picks.forEach(([layerIndex, elementId]) => {
+      if (quotas[layerIndex]) {
+        quotas[layerIndex][elementId]--;
+      }
+    })
+  );
+  return quotas;
+};
+
+module.exports = {
+  getFixedEditions,
+  placeFixedEditions,
+  getFixedPicks,
+  reserveQuotas,
+};
@@ -0,0 +1,63 @@
+const basePath = process.cwd();
+const { extraMetadata } = require(`${basePath}/src/config.js`);
+const { getOutputs, getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+
+/**
+ * ERC-721 metadata as read by OpenSea and uploaded by NFTPort. Outputs with
+ * `addToFiles` are listed in `properties.files`.
+ */
+const getFileOutputs = () =>
+  getOutputs().filter((output) => output.addToFiles && !output.primary);
+
+const formatMetadata = (_metadata) => {
+  const primaryOutput = getPrimaryOutput();
+  const fileOutputs = getFileOutputs();
+  const metadata = {
+    name: _metadata.name,
+    description: _metadata.description,
+    image: `${primaryOutput.baseUri}/${_metadata.edition}.${primaryOutput.extension}`,
+    attributes: _metadata.attributes,
+    dna: _metadata.dna,
+    edition: _metadata.edition,
+    ...extraMetadata,
+    date: _metadata.date,
+    compiler: "HashLips Art Engine - codeSTACKr Modified",
+  };
+  if (_metadata.legendary) {
+    metadata.legendary = true;
+  }
+  if (fileOutputs.length > 0) {
+    metadata.properties = {
+      files: fileOutputs.map((output) => ({
+        uri: `${output.baseUri}/${_metadata.edition}.${output.extension}`,
+        type: output.type,
+      })),
+    };
+  }
+  return metadata;
+};
+
+// `image` and `properties.files` in the order of the outputs
+const getUris = (_metadata) => {
+  const uris = { [getPrimaryOutput().folder]: _metadata.image };
+  getFileOutputs().forEach((output, index) => {
+    if (_metadata.properties?.files?.[index] != undefined) {
+      uris[output.folder] = _metadata.properties.files[index].uri;
+    }
+  });
+  return uris;
+};
+
+const setUris = (_metadata, _uris) => {
+  _metadata.image = _uris[getPrimaryOutput().folder] ?? _metadata.image;
+  getFileOutputs().forEach((output, index) => {
+    if (
+      _metadata.properties?.files?.[index] != undefined &&
+      _uris[output.folder] != undefined
+    ) {
+      _metadata.properties.files[index].uri = _uris[output.folder];
+    }
+  });
+};
+
+module.exports = { formatMetadata, getUris, setUris };
@@ -0,0 +1,43 @@
+const basePath = process.cwd();
+const {
+  extraMetadata,
+  solanaMetadata,
+  gif,
+} = require(`${basePath}/src/config.js`);
+const { getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+
+/**
+ * Metaplex metadata for Candy Machine. The image (and gif) URIs are relative,
+ * Candy Machine uploads N.png (and N.gif) from build/assets next to N.json,
+ * see solana.js. Other outputs are not copied there, so addToFiles is left out.
+ */
+const formatMetadata = (_metadata) => {
+  const primaryOutput = getPrimaryOutput();
+  const image = `${_metadata.edition}.${primaryOutput.extension}`;
+  const animation = gif.export
+    ? { uri: `${_metadata.edition}.gif`, type: "image/gif" }
+    : null;
+  return {
+    name: _metadata.name,
+    symbol: solanaMetadata.symbol,
+    description: _metadata.description,
+    seller_fee_basis_points: solanaMetadata.seller_fee_basis_points,
+    image,
+    ...(animation ? { animation_url: animation.uri } : {}),
+    external_url: solanaMetadata.external_url,
+    edition: _metadata.edition,
+    ...extraMetadata,
+    ...(_metadata.legendary ? { legendary: true } : {}),
+    attributes: _metadata.attributes,
+    properties: {
+      files: [
+        { uri: image, type: primaryOutput.type },
+        ...(animation ? [animation] : []),
+      ],
+      category: "image",
+      creators: solanaMetadata.creators,
+    },
+  };
+};
+
+module.exports = { formatMetadata };
@@ -0,0 +1,104 @@
+const basePath = process.cwd();
+const { extraMetadata, tezosMetadata } = require(`${basePath}/src/config.js`);
+const { getOutputs, getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+
+// royalty shares are whole numbers of 1/10000, so basis points
+const ROYALTY_DECIMALS = 4;
+
+// Splits the royalties between the creators by their share
+const getRoyalties = () => ({
+  decimals: ROYALTY_DECIMALS,
+  shares: tezosMetadata.creators.reduce(
+    (shares, creator) => ({
+      ...shares,
+      [creator.address]: Math.round(
+        (tezosMetadata.royalties * creator.share) / 100
+      ),
+    }),
+    {}
+  ),
+});
+
+const getThumbnailOutput = () =>
+  getOutputs().find(
+    (output) => output.folder == tezosMetadata.thumbnailOutput
+  ) ?? getPrimaryOutput();
+
+// outputs listed in `formats`, in the order of the outputs
+const getFormatOutputs = () => {
+  const thumbnailOutput = getThumbnailOutput();
+  return getOutputs().filter(
+    (output) =>
+      output.primary ||
+      output.addToFiles ||
+      output.folder == thumbnailOutput.folder
+  );
+};
+
+/**
+ * TZIP-21 metadata for Tezos (objkt.com, fxhash...). The primary output is the
+ * artifact and display image, `tezosMetadata.thumbnailOutput` names the output
+ * used as thumbnail. Attributes become {name, value, type}.
+ */
+const formatMetadata = (_metadata) => {
+  const primaryOutput = getPrimaryOutput();
+  const thumbnailOutput = getThumbnailOutput();
+  const getUri = (_output) =>
+    `${_output.baseUri}/${_metadata.edition}.${_output.extension}`;
+  return {
+    name: _metadata.name,
+    description: _metadata.description,
+    symbol: tezosMetadata.symbol,
+    decimals: 0,
+    isBooleanAmount: true,
+    shouldPreferSymbol: false,
+    artifactUri: getUri(primaryOutput),
+    displayUri: getUri(primaryOutput),
+    thumbnailUri: getUri(thumbnailOutput),
+    formats: getFormatOutputs().map((output) => ({
+      uri: getUri(output),
+      mimeType: output.type,
+      dimensions: { value: `${output.width}x${output.height}`, unit: "px" },
+    })),
+    creators: tezosMetadata.creators.map((creator) => creator.address),
+    royalties: getRoyalties(),
+    attributes: _metadata.attributes.map((attribute) => ({
+      name: attribute.trait_type,
+      value: `${attribute.value}`,
+      ...(attribute.display_type ? { type: attribute.display_type } : {}),
+    })),
+    tags: tezosMetadata.tags ?? [],
+    date: new Date(_metadata.date).toISOString(),
+    edition: _metadata.edition,
+    ...extraMetadata,
+    ...(_metadata.legendary ? { legendary: true } : {}),
+  };
+};
+
+// the URI of every output is in `formats`, the other URIs repeat them
+const getUris = (_metadata) =>
+  getFormatOutputs().reduce(
+    (uris, output, index) =>
+      _metadata.formats?.[index] != undefined
+        ? { ...uris, [output.folder]: _metadata.formats[index].uri }
+        : uris,
+    {}
+  );
+
+const setUris = (_metadata, _uris) => {
+  getFormatOutputs().forEach((output, index) => {
+    if (
+      _metadata.formats?.[index] != undefined &&
+      _uris[output.folder] != undefined
+    ) {
+      _metadata.formats[index].uri = _uris[output.folder];
+    }
+  });
+  const primaryUri = _uris[getPrimaryOutput().folder];
+  _metadata.artifactUri = primaryUri ?? _metadata.artifactUri;
+  _metadata.displayUri = primaryUri ?? _metadata.displayUri;
+  _metadata.thumbnailUri =
+    _uris[getThumbnailOutput().folder] ?? _metadata.thumbnailUri;
+};
+
+module.exports = { formatMetadata, getUris, setUris };
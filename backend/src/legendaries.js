@@ -0,0 +1,116 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const { legendariesDir } = require(`${basePath}/src/paths.js`);
+const { layerConfigurations } = require(`${basePath}/src/config.js`);
+const { isElementFile } = require(`${basePath}/src/assets.js`);
+
+/**
+ * Reads the hand made 1/1 editions from the legendaries folder. Each image can
+ * have a sidecar with the same name and a .json extension:
+ * { "name": "...", "description": "...", "attributes": [...], "edition": 7 }
+ * All keys are optional, without `edition` the legendary gets a random one.
+ *
+ * @param {Number} _lastEdition Highest edition number of the collection
+ * @returns {{legendaries: Array, errors: Array}}
+ */
+const getLegendaries = (_lastEdition) => {
+  const errors = [];
+  if (!fs.existsSync(legendariesDir)) {
+    return { legendaries: [], errors };
+  }
+  const total =
+    layerConfigurations[layerConfigurations.length - 1].growEditionSizeTo;
+  const legendaries = fs
+    .readdirSync(legendariesDir)
+    .filter((file) => isElementFile(file))
+    .sort()
+    .map((file) => {
+      const name = path.parse(file).name;
+      const sidecar = `${legendariesDir}/${name}.json`;
+      const settings = fs.existsSync(sidecar)
+        ? JSON.parse(fs.readFileSync(sidecar))
+        : {};
+      return {
+        file,
+        path: `${legendariesDir}/${file}`,
+        name: settings.name,
+        description: settings.description,
+        attributes: settings.attributes ?? [],
+        edition: settings.edition,
+      };
+    });
+
+  const fixedEditions = new Set();
+  legendaries.forEach((legendary) => {
+    if (legendary.edition == undefined) {
+      return;
+    }
+    if (
+      !Number.isInteger(legendary.edition) ||
+      legendary.edition < 0 ||
+      legendary.edition > _lastEdition
+    ) {
+      errors.push(
+        `Legendary "${legendary.file}": edition ${legendary.edition} is outside of the collection (0 - ${_lastEdition})`
+      );
+    } else if (fixedEditions.has(legendary.edition)) {
+      errors.push(
+        `Legendary "${legendary.file}": edition ${legendary.edition} is already taken by another legendary`
+      );
+    }
+    fixedEditions.add(legendary.edition);
+  });
+  if (legendaries.length >= total) {
+    errors.push(
+      `There are ${legendaries.length} legendaries but the collection only has ${total} editions`
+    );
+  }
+  return { legendaries, errors };
+};
+
+/**
+ * Takes the edition numbers of the legendaries out of the editions left to
+ * create. Only the first `_total` numbers are used by the collection, so a
+ * fixed edition found past them is swapped in first.
+ *
+ * @param {Array} _legendaries From getLegendaries
+ * @param {Array} _abstractedIndexes Edition numbers in creation order
+ * @param {Number} _total Number of editions in the collection
+ * @param {Function} _random Seeded random function
+ * @returns {{placements: Array, abstractedIndexes: Array}} Edition and file of
+ * every legendary, and the edition numbers left for generated editions
+ */
+const placeLegendaries = (
+  _legendaries,
+  _abstractedIndexes,
+  _total,
+  _random
+) => {
+  const indexes = [..._abstractedIndexes];
+  const placements = [];
+  const take = (_position) => indexes.splice(_position, 1)[0];
+  _legendaries
+    .filter((legendary) => legendary.edition != undefined)
+    .forEach((legendary) => {
+      let position = indexes.indexOf(legendary.edition);
+      const lastUsed = _total - placements.length - 1;
+      if (position > lastUsed) {
+        [indexes[position], indexes[lastUsed]] = [
+          indexes[lastUsed],
+          indexes[position],
+        ];
+        position = lastUsed;
+      }
+      placements.push({ edition: take(position), file: legendary.file });
+    });
+  _legendaries
+    .filter((legendary) => legendary.edition == undefined)
+    .forEach((legendary) => {
+      const position = Math.floor(_random() * (_total - placements.length));
+      placements.push({ edition: take(position), file: legendary.file });
+    });
+  return { placements, abstractedIndexes: indexes };
+};
+
+module.exports = { getLegendaries, placeLegendaries };
@@ -0,0 +1,90 @@
+const basePath = process.cwd();
+const { CLI_ENV } = require(`${basePath}/constants/cli.js`);
+
+// With --json-logs every event is a JSON line instead of text
+let jsonLogs = process.env[CLI_ENV.jsonLogs] == "1";
+// text of the progress line currently shown in a terminal
+let progressLine = null;
+
+const setJsonLogs = (_jsonLogs) => {
+  jsonLogs = _jsonLogs;
+  // worker threads copy the environment when they start
+  process.env[CLI_ENV.jsonLogs] = _jsonLogs ? "1" : "";
+};
+
+const clearProgressLine = () => {
+  if (progressLine != null) {
+    process.stdout.write("\r\x1b[K");
+  }
+};
+
+const redrawProgressLine = () => {
+  if (progressLine != null) {
+    process.stdout.write(progressLine);
+  }
+};
+
+/**
+ * Logs an event of the generation. As text it is `_text`, events without text
+ * are only logged with --json-logs. With --json-logs it is one line of JSON:
+ * {"time": ..., "event": _event, ..._fields}.
+ *
+ * @param {String} _event Name of the event, eg. "edition" or "collision"
+ * @param {Object} _fields Data of the event
+ * @param {String} _text Line to log as text
+ */
+const logEvent = (_event, _fields = {}, _text) => {
+  if (jsonLogs) {
+    console.log(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        event: _event,
+        ..._fields,
+      })
+    );
+    return;
+  }
+  if (_text == undefined) {
+    return;
+  }
+  clearProgressLine();
+  console.log(_text);
+  redrawProgressLine();
+};
+
+// debugLogs lines, with --json-logs {"event": "debug", "message": _text}
+const logDebug = (_text) => logEvent("debug", { message: _text }, _text);
+
+/**
+ * Shows the progress of the generation. A terminal gets one line that is
+ * updated in place, logs (eg. in CI) get a new line every time.
+ *
+ * @param {String} _text Progress as text
+ * @param {Object} _fields Progress for --json-logs
+ */
+const showProgress = (_text, _fields) => {
+  if (jsonLogs) {
+    logEvent("progress", _fields);
+  } else if (process.stdout.isTTY) {
+    progressLine = _text;
+    process.stdout.write(`\r${_text}\x1b[K`);
+  } else {
+    console.log(_text);
+  }
+};
+
+// Leaves the progress line of the terminal as it is, later logs go below it
+const endProgress = () => {
+  if (progressLine != null) {
+    process.stdout.write("\n");
+    progressLine = null;
+  }
+};
+
+module.exports = {
+  setJsonLogs,
+  logEvent,
+  logDebug,
+  showProgress,
+  endProgress,
+};
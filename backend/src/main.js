@@ -2,58 +2,183 @@ const basePath = process.cwd();
 const { NETWORK } = require(`${basePath}/constants/network.js`);
 const fs = require("fs");
 const sha1 = require(`${basePath}/node_modules/sha1`);
-const { createCanvas, loadImage } = require(`${basePath}/node_modules/canvas`);
-const buildDir = `${basePath}/build`;
-const layersDir = `${basePath}/layers`;
+const { buildDir, layersDir } = require(`${basePath}/src/paths.js`);
+const checkpointFile = `${buildDir}/_checkpoint.jsonl`;
+const dnaFile = `${buildDir}/_dna.json`;
 const {
-  format,
   baseUri,
   description,
   background,
   uniqueDnaTorrance,
+  visualDuplicates,
   layerConfigurations,
-  rarityDelimiter,
   shuffleLayerConfigurations,
   debugLogs,
-  extraMetadata,
-  text,
   namePrefix,
   network,
-  solanaMetadata,
   gif,
+  seed,
+  renderWorkers,
+  computedAttributes,
 } = require(`${basePath}/src/config.js`);
-const canvas = createCanvas(format.width, format.height);
-const ctx = canvas.getContext("2d");
-ctx.imageSmoothingEnabled = format.smoothing;
 var metadataList = [];
 var attributesList = [];
 var dnaList = new Set();
+var visualHashes = [];
+var visualDuplicateList = [];
+// edition => {layerConfigIndex, dna} of every edition with DNA, see _dna.json
+var dnaRegistry = new Map();
+// {edition, layerConfigIndex, dna} of every DNA a re-roll replaced
+var retiredDna = [];
+// rejected DNA per layer configuration, see rejectDna
+var collisionStats = [];
+let progress = null;
 const DNA_DELIMITER = "-";
-const HashlipsGiffer = require(`${basePath}/modules/HashlipsGiffer.js`);
+const RenderPool = require(`${basePath}/modules/RenderPool.js`);
+const { createRenderer } = require(`${basePath}/src/render.js`);
+const { getOutputs } = require(`${basePath}/src/outputs.js`);
+const { getAllowedElements, checkRules } = require(`${basePath}/src/rules.js`);
+const { createRandom, createSeed } = require(`${basePath}/src/random.js`);
+const { getElements, getLayerElements } = require(`${basePath}/src/assets.js`);
+const { findVisualDuplicate } = require(`${basePath}/src/visualHash.js`);
+const { exportAssets } = require(`${basePath}/src/solana.js`);
+const { getFormatter, getUriFields } = require(`${basePath}/src/metadata.js`);
+const { setTextValues } = require(`${basePath}/src/textOverlay.js`);
+const { logEvent, logDebug, endProgress } = require(`${basePath}/src/log.js`);
+const {
+  createProgress,
+  formatDuration,
+} = require(`${basePath}/src/progress.js`);
+const { writeReport, addRerollToReport } = require(`${basePath}/src/report.js`);
+const {
+  getLayerTraits,
+  getAttribute,
+  getStatAttributes,
+  checkTraits,
+} = require(`${basePath}/src/traits.js`);
+const {
+  getLegendaries,
+  placeLegendaries,
+} = require(`${basePath}/src/legendaries.js`);
+const {
+  getFixedEditions,
+  placeFixedEditions,
+  getFixedPicks,
+  reserveQuotas,
+} = require(`${basePath}/src/fixedEditions.js`);
+const {
+  countDnaCombinations,
+  getExpectedCounts,
+  checkCapacity,
+} = require(`${basePath}/src/capacity.js`);
+const {
+  checkQuotas,
+  getQuotaWeight,
+  consumeQuotas,
+} = require(`${basePath}/src/quotas.js`);
+const {
+  getPlacement,
+  rollJitter,
+  encodeJitter,
+  decodeJitter,
+  applyJitter,
+} = require(`${basePath}/src/placement.js`);
+
+let random = Math.random;
+let buildSeed = null;
+let buildDate = Date.now();
+
+// Everything a generation writes. Contract and upload responses are not part of
+// it and only get removed with `cleanAll`.
+const generatedOutputs = [
+  "json",
+  ...getOutputs().map((output) => output.folder),
+  "gifs",
+  "_seed.json",
+  "_checkpoint.jsonl",
+  "_visual_duplicates.json",
+  "_dna.json",
+  "assets",
+  "report.json",
+];
 
-let hashlipsGiffer = null;
+// Empty output folders, eg. made by a run that stopped before its first
+// edition, are no collection that --resume or --clean would have to handle
+const hasOutput = (_name) => {
+  const path = `${buildDir}/${_name}`;
+  return (
+    fs.existsSync(path) &&
+    (!fs.statSync(path).isDirectory() || fs.readdirSync(path).length > 0)
+  );
+};
 
-const buildSetup = () => {
-  if (fs.existsSync(buildDir)) {
-    fs.rmdirSync(buildDir, { recursive: true });
+/**
+ * Prepares the build folder. Existing output is never removed silently, a run
+ * either resumes it, cleans it or stops.
+ *
+ * @param {Object} _options `resume`, `clean` and/or `cleanAll` from the CLI
+ */
+const buildSetup = (_options = {}) => {
+  if (_options.resume) {
+    if (!fs.existsSync(checkpointFile)) {
+      logEvent(
+        "error",
+        { message: "nothing to resume" },
+        `No unfinished generation found in ${buildDir}. Run without --resume to start a new one.`
+      );
+      process.exit(1);
+    }
+    return;
   }
-  fs.mkdirSync(buildDir);
-  fs.mkdirSync(`${buildDir}/json`);
-  fs.mkdirSync(`${buildDir}/images`);
+  if (_options.cleanAll) {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  } else if (_options.clean) {
+    generatedOutputs.forEach((name) =>
+      fs.rmSync(`${buildDir}/${name}`, { recursive: true, force: true })
+    );
+  } else if (generatedOutputs.some((name) => hasOutput(name))) {
+    logEvent(
+      "error",
+      { message: "build folder is not empty" },
+      `${buildDir} already contains a generated collection.\n${
+        fs.existsSync(checkpointFile)
+          ? "Run with --resume to continue the unfinished generation or with --clean to start over."
+          : "Run with --clean to start over."
+      }`
+    );
+    process.exit(1);
+  }
+  fs.mkdirSync(`${buildDir}/json`, { recursive: true });
+  getOutputs().forEach((output) =>
+    fs.mkdirSync(`${buildDir}/${output.folder}`, { recursive: true })
+  );
   if (gif.export) {
-    fs.mkdirSync(`${buildDir}/gifs`);
+    fs.mkdirSync(`${buildDir}/gifs`, { recursive: true });
   }
 };
 
-const getRarityWeight = (_str) => {
-  let nameWithoutExtension = _str.slice(0, -4);
-  var nameWithoutWeight = Number(
-    nameWithoutExtension.split(rarityDelimiter).pop()
+/**
+ * Every random decision of a run goes through `random`, seeded here. The seed
+ * and the date written to the metadata are saved to build/_seed.json so the
+ * same collection can be generated again.
+ *
+ * @param {String} _seed Overrides the seed from config.js
+ * @param {Number} _date Overrides the metadata date (ms since epoch)
+ * @param {Number} _state Generator state to continue from when resuming
+ */
+const seedSetup = (_seed, _date, _state) => {
+  buildSeed = String(_seed ?? seed ?? createSeed());
+  random = createRandom(buildSeed, _state);
+  buildDate = _date != undefined ? Number(_date) : Date.now();
+  fs.writeFileSync(
+    `${buildDir}/_seed.json`,
+    JSON.stringify({ seed: buildSeed, date: buildDate }, null, 2)
+  );
+  logEvent(
+    "seed",
+    { seed: buildSeed, date: buildDate },
+    `Using seed: ${buildSeed}`
   );
-  if (isNaN(nameWithoutWeight)) {
-    nameWithoutWeight = 1;
-  }
-  return nameWithoutWeight;
 };
 
 const cleanDna = (_str) => {
@@ -62,31 +187,30 @@ const cleanDna = (_str) => {
   return dna;
 };
 
-const cleanName = (_str) => {
-  let nameWithoutExtension = _str.slice(0, -4);
-  var nameWithoutWeight = nameWithoutExtension.split(rarityDelimiter).shift();
-  return nameWithoutWeight;
-};
-
-const getElements = (path) => {
-  return fs
-    .readdirSync(path)
-    .filter((item) => !/(^|\/)\.[^\/\.]/g.test(item))
-    .map((i, index) => {
-      return {
-        id: index,
-        name: cleanName(i),
-        filename: i,
-        path: `${path}${i}`,
-        weight: getRarityWeight(i),
-      };
-    });
-};
+/**
+ * Optional layers get one more element standing for "no element", so rules,
+ * DNA uniqueness and the combination counts treat absence like any other pick.
+ */
+const addAbsentElement = (_elements) => [
+  ..._elements,
+  {
+    id: _elements.length,
+    name: "None",
+    filename: "",
+    path: null,
+    weight: 0,
+    absent: true,
+  },
+];
 
 const layersSetup = (layersOrder) => {
   const layers = layersOrder.map((layerObj, index) => ({
     id: index,
-    elements: getElements(`${layersDir}/${layerObj.name}/`),
+    folder: layerObj.name,
+    elements:
+      layerObj.options?.["presence"] != undefined
+        ? addAbsentElement(getLayerElements(layerObj))
+        : getLayerElements(layerObj),
     name:
       layerObj.options?.["displayName"] != undefined
         ? layerObj.options?.["displayName"]
@@ -99,129 +223,113 @@ const layersSetup = (layersOrder) => {
       layerObj.options?.["opacity"] != undefined
         ? layerObj.options?.["opacity"]
         : 1,
+    // hidden and text layers do not make an edition unique unless bypassDNA
+    // says otherwise
     bypassDNA:
       layerObj.options?.["bypassDNA"] !== undefined
         ? layerObj.options?.["bypassDNA"]
-        : false,
+        : layerObj.options?.["hidden"] == true ||
+          layerObj.options?.["text"] != undefined,
+    hidden: layerObj.options?.["hidden"] == true,
+    presence: layerObj.options?.["presence"],
+    absentAttribute:
+      layerObj.options?.["absentAttribute"] != undefined
+        ? layerObj.options?.["absentAttribute"]
+        : "omit",
+    linkedTo: layerObj.options?.["linkedTo"],
+    placement: layerObj.options?.["placement"],
+    quota: layerObj.options?.["quota"],
+    text: layerObj.options?.["text"],
+    traits: getLayerTraits(`${layersDir}/${layerObj.name}/`),
   }));
   return layers;
 };
 
-const saveImage = (_editionCount) => {
-  fs.writeFileSync(
-    `${buildDir}/images/${_editionCount}.png`,
-    canvas.toBuffer("image/png")
-  );
-};
-
 const genColor = () => {
-  let hue = Math.floor(Math.random() * 360);
+  let hue = Math.floor(random() * 360);
   let pastel = `hsl(${hue}, 100%, ${background.brightness})`;
   return pastel;
 };
 
-const drawBackground = () => {
-  ctx.fillStyle = background.static ? background.default : genColor();
-  ctx.fillRect(0, 0, format.width, format.height);
-};
-
-const addMetadata = (_dna, _edition) => {
-  let dateTime = Date.now();
-  let tempMetadata = {
-    name: `${namePrefix} #${_edition}`,
-    description: description,
-    image: `${baseUri}/${_edition}.png`,
-    attributes: attributesList,
-    dna: sha1(_dna),
-    edition: _edition,
-    ...extraMetadata,
-    date: dateTime,
-    compiler: "HashLips Art Engine - codeSTACKr Modified",
-  };
-  if (network == NETWORK.sol) {
-    tempMetadata = {
-      //Added metadata for solana
-      name: tempMetadata.name,
-      symbol: solanaMetadata.symbol,
-      description: tempMetadata.description,
-      //Added metadata for solana
-      seller_fee_basis_points: solanaMetadata.seller_fee_basis_points,
-      image: `image.png`,
-      //Added metadata for solana
-      external_url: solanaMetadata.external_url,
+const addMetadata = (_dna, _edition, _legendary) => {
+  const formatMetadata = getFormatter(network);
+  metadataList.push(
+    formatMetadata({
+      name: _legendary?.name ?? `${namePrefix} #${_edition}`,
+      description: _legendary?.description ?? description,
+      attributes: attributesList,
+      dna: sha1(_dna),
       edition: _edition,
-      ...extraMetadata,
-      attributes: tempMetadata.attributes,
-      properties: {
-        files: [
-          {
-            uri: "image.png",
-            type: "image/png",
-          },
-        ],
-        category: "image",
-        creators: solanaMetadata.creators,
-      },
-    };
-  }
-  metadataList.push(tempMetadata);
+      date: buildDate,
+      legendary: _legendary != undefined,
+    })
+  );
   attributesList = [];
 };
 
-const addAttributes = (_element) => {
-  let selectedElement = _element.layer.selectedElement;
-  attributesList.push({
-    trait_type: _element.layer.name,
-    value: selectedElement.name,
-  });
-};
-
-const loadLayerImg = async (_layer) => {
-  return new Promise(async (resolve) => {
-    const image = await loadImage(`${_layer.selectedElement.path}`);
-    resolve({ layer: _layer, loadedImage: image });
-  });
+const addAttributes = (_layer) => {
+  if (_layer.hidden) {
+    return;
+  }
+  if (_layer.selectedElement.absent) {
+    if (_layer.absentAttribute == "none") {
+      attributesList.push({ trait_type: _layer.name, value: "None" });
+    }
+    return;
+  }
+  if (_layer.text != undefined) {
+    if (_layer.text.attribute) {
+      attributesList.push({
+        trait_type: _layer.name,
+        value: _layer.text.value,
+      });
+    }
+    return;
+  }
+  attributesList.push(getAttribute(_layer));
 };
 
-const addText = (_sig, x, y, size) => {
-  ctx.fillStyle = text.color;
-  ctx.font = `${text.weight} ${size}pt ${text.family}`;
-  ctx.textBaseline = text.baseline;
-  ctx.textAlign = text.align;
-  ctx.fillText(_sig, x, y);
+/**
+ * Stats and computed attributes depend on all layers of an edition, so they
+ * are added once every layer attribute is in.
+ */
+const addEditionAttributes = (_layers) => {
+  attributesList.push(...getStatAttributes(_layers));
+  attributesList.push(...(computedAttributes?.([...attributesList]) ?? []));
 };
 
-const drawElement = (_renderObject, _index, _layersLen) => {
-  ctx.globalAlpha = _renderObject.layer.opacity;
-  ctx.globalCompositeOperation = _renderObject.layer.blend;
-  text.only
-    ? addText(
-        `${_renderObject.layer.name}${text.spacer}${_renderObject.layer.selectedElement.name}`,
-        text.xGap,
-        text.yGap * (_index + 1),
-        text.size
-      )
-    : ctx.drawImage(
-        _renderObject.loadedImage,
-        0,
-        0,
-        format.width,
-        format.height
-      );
-
-  addAttributes(_renderObject);
-};
+/**
+ * What a renderer needs to draw an edition from the layers picked by its DNA.
+ * Only editions that picked an animated element are drawn frame by frame.
+ */
+const getRenderJob = (_edition, _results) => ({
+  edition: _edition,
+  animated: _results.some((layer) => layer.selectedElement.animation),
+  layers: _results.filter((layer) => !layer.selectedElement.absent),
+  background: background.generate
+    ? background.static
+      ? background.default
+      : genColor()
+    : null,
+});
 
 const constructLayerToDna = (_dna = "", _layers = []) => {
   let mappedDnaToLayers = _layers.map((layer, index) => {
-    let selectedElement = layer.elements.find(
-      (e) => e.id == cleanDna(_dna.split(DNA_DELIMITER)[index])
-    );
+    let dnaPart = _dna.split(DNA_DELIMITER)[index];
+    let selectedElement = layer.elements.find((e) => e.id == cleanDna(dnaPart));
     return {
       name: layer.name,
       blend: layer.blend,
       opacity: layer.opacity,
+      traits: layer.traits,
+      hidden: layer.hidden,
+      absentAttribute: layer.absentAttribute,
+      text: layer.text,
       selectedElement: selectedElement,
+      placement: applyJitter(
+        getPlacement(layer, selectedElement),
+        decodeJitter(dnaPart)
+      ),
     };
   });
   return mappedDnaToLayers;
@@ -272,38 +380,241 @@ const isDnaUnique = (_DnaList = new Set(), _dna = "") => {
   return !_DnaList.has(_filteredDNA);
 };
 
-const createDna = (_layers) => {
+// random placement is part of the DNA, see placement.js
+const getDnaPart = (_layer, _element) => {
+  const bypass = _layer.bypassDNA ? "?bypassDNA=true" : "";
+  if (_element.absent) {
+    return `${_element.id}:${bypass}`;
+  }
+  let jitter = encodeJitter(rollJitter(getPlacement(_layer, _element), random));
+  return `${_element.id}:${_element.filename}${jitter}${bypass}`;
+};
+
+// the elements of a DNA without placement jitter, the same as fixed rows key
+const getDnaElements = (_dna) =>
+  filterDNAOptions(_dna)
+    .split(DNA_DELIMITER)
+    .map((part) => part.replace(/@[\d,~.]*$/, ""))
+    .join(DNA_DELIMITER);
+
+/**
+ * Elements of the fixed rows that name every layer of the DNA. A random
+ * edition of an earlier layer configuration may otherwise take such a row's
+ * DNA before the row is created, so they are reserved from the start.
+ *
+ * @param {Array} _fixed Fixed editions still to create
+ * @param {Array} _layerSetups {layers, rules, quotas} per layer configuration
+ * @returns {Set} Reserved DNA as returned by getDnaElements
+ */
+const getReservedDna = (_fixed, _layerSetups) =>
+  new Set(
+    _fixed
+      .map((fixed) => {
+        const { layers } = _layerSetups[fixed.layerConfigIndex];
+        const picks = getFixedPicks(fixed, layers);
+        const parts = layers.flatMap((layer, index) =>
+          layer.bypassDNA ? [] : [picks.get(index)]
+        );
+        if (parts.includes(undefined)) {
+          return null;
+        }
+        return parts
+          .map((element) =>
+            element.absent
+              ? `${element.id}:`
+              : `${element.id}:${element.filename}`
+          )
+          .join(DNA_DELIMITER);
+      })
+      .filter((dna) => dna != null)
+  );
+
+/**
+ * Picks an element for every layer. `_fixed` holds the elements a fixed
+ * edition names (layer index => element), they are taken as they are if the
+ * rules allow them with the elements picked before, the other layers are
+ * picked at random.
+ */
+const createDna = (_layers, _rules = [], _quotas = [], _fixed = new Map()) => {
   let randNum = [];
-  _layers.forEach((layer) => {
+  let picked = new Map();
+  for (const [layerIndex, layer] of _layers.entries()) {
+    // layers in quota mode pick by the number of editions left per element
+    const elements = getAllowedElements(
+      _layers,
+      _rules,
+      layerIndex,
+      picked
+    ).map((element) => ({
+      ...element,
+      weight: getQuotaWeight(_quotas, layerIndex, element),
+    }));
+    if (_fixed.has(layerIndex)) {
+      const element = elements.find((e) => e.id == _fixed.get(layerIndex).id);
+      if (element == undefined) {
+        return null;
+      }
+      picked.set(layerIndex, element);
+      randNum.push(getDnaPart(layer, element));
+      continue;
+    }
+    // optional layers first roll whether they are present at all
+    const absent = elements.find((element) => element.absent);
+    const present = elements.filter((element) => !element.absent);
     var totalWeight = 0;
-    layer.elements.forEach((element) => {
+    present.forEach((element) => {
       totalWeight += element.weight;
     });
-    // number between 0 - totalWeight
-    let random = Math.floor(Math.random() * totalWeight);
-    for (var i = 0; i < layer.elements.length; i++) {
+    if (absent && (totalWeight == 0 || random() >= layer.presence)) {
+      picked.set(layerIndex, absent);
+      randNum.push(getDnaPart(layer, absent));
+      continue;
+    }
+    if (totalWeight == 0) {
+      // the rules or quotas left nothing to pick for this layer
+      return null;
+    }
+    // number between 0 - totalWeight, weights can be decimals
+    let randomWeight = random() * totalWeight;
+    for (var i = 0; i < present.length; i++) {
       // subtract the current weight from the random weight until we reach a sub zero value.
-      random -= layer.elements[i].weight;
-      if (random < 0) {
-        return randNum.push(
-          `${layer.elements[i].id}:${layer.elements[i].filename}${
-            layer.bypassDNA ? "?bypassDNA=true" : ""
-          }`
-        );
+      randomWeight -= present[i].weight;
+      if (randomWeight < 0) {
+        picked.set(layerIndex, present[i]);
+        randNum.push(getDnaPart(layer, present[i]));
+        break;
       }
     }
-  });
+  }
   return randNum.join(DNA_DELIMITER);
 };
 
+/**
+ * The checkpoint is a journal: a header with the seed and the edition order,
+ * then one line per finished edition. Appending keeps it cheap for large
+ * collections and a crash can at most lose the edition being written.
+ */
+const startCheckpoint = (_abstractedIndexes, _legendaries, _fixed) => {
+  fs.writeFileSync(
+    checkpointFile,
+    JSON.stringify({
+      seed: buildSeed,
+      date: buildDate,
+      state: random.getState(),
+      abstractedIndexes: _abstractedIndexes,
+      legendaries: _legendaries,
+      fixed: _fixed,
+    }) + "\n"
+  );
+};
+
+const saveCheckpoint = (_entry) => {
+  fs.appendFileSync(checkpointFile, JSON.stringify(_entry) + "\n");
+};
+
+const loadCheckpoint = () => {
+  const lines = fs
+    .readFileSync(checkpointFile, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() != "");
+  const [header, ...entries] = lines
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // the last line can be cut off when the run crashed while writing it
+        return null;
+      }
+    })
+    .filter((entry) => entry != null);
+  entries.forEach((entry) => {
+    if (!entry.legendary) {
+      dnaList.add(entry.dna);
+    }
+    if (entry.fullDna != undefined) {
+      dnaRegistry.set(entry.edition, {
+        layerConfigIndex: entry.layerConfigIndex,
+        dna: entry.fullDna,
+      });
+    }
+    metadataList.push(
+      JSON.parse(fs.readFileSync(`${buildDir}/json/${entry.edition}.json`))
+    );
+    if (entry.hash != undefined) {
+      visualHashes.push({ edition: entry.edition, hash: entry.hash });
+    }
+    if (entry.duplicate) {
+      visualDuplicateList.push({
+        edition: entry.edition,
+        duplicateOf: entry.duplicate.edition,
+        distance: entry.duplicate.distance,
+      });
+    }
+  });
+  const created = new Set(entries.map((entry) => entry.edition));
+  const createdRows = new Set(entries.map((entry) => entry.fixedRow));
+  const last = entries[entries.length - 1];
+  return {
+    seed: header.seed,
+    date: header.date,
+    state: last ? last.state : header.state,
+    layerConfigIndex: last ? last.layerConfigIndex : 0,
+    editionCount: last ? last.editionCount : 1,
+    failedCount: last ? last.failedCount : 0,
+    collisions: last ? last.collisions : null,
+    quotas: last ? last.quotas : null,
+    legendaries: (header.legendaries ?? []).filter(
+      (placement) => !created.has(placement.edition)
+    ),
+    abstractedIndexes: header.abstractedIndexes.filter(
+      (index) => !created.has(index)
+    ),
+    fixed: (header.fixed ?? []).filter((entry) => !createdRows.has(entry.row)),
+    fixedCount: (header.fixed ?? []).length,
+  };
+};
+
 const writeMetaData = (_data) => {
   fs.writeFileSync(`${buildDir}/json/_metadata.json`, _data);
 };
 
+/**
+ * Saves the full DNA and layer configuration of every edition, so single
+ * editions can be re-rolled later without creating a duplicate, and the DNA
+ * re-rolls replaced, so they stay taken.
+ */
+const writeDnaRegistry = () => {
+  fs.writeFileSync(
+    dnaFile,
+    JSON.stringify(
+      {
+        editions: [...dnaRegistry.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([edition, entry]) => ({ edition, ...entry })),
+        retired: retiredDna,
+      },
+      null,
+      2
+    )
+  );
+};
+
+const writeVisualDuplicates = () => {
+  logEvent(
+    "visual_duplicates",
+    { count: visualDuplicateList.length },
+    `Found ${visualDuplicateList.length} edition(s) that look like an earlier one.`
+  );
+  fs.writeFileSync(
+    `${buildDir}/_visual_duplicates.json`,
+    JSON.stringify(visualDuplicateList, null, 2)
+  );
+};
+
 const saveMetaDataSingleFile = (_editionCount) => {
   let metadata = metadataList.find((meta) => meta.edition == _editionCount);
   debugLogs
-    ? console.log(
+    ? logDebug(
         `Writing metadata for ${_editionCount}: ${JSON.stringify(metadata)}`
       )
     : null;
@@ -317,7 +628,7 @@ function shuffle(array) {
   let currentIndex = array.length,
     randomIndex;
   while (currentIndex != 0) {
-    randomIndex = Math.floor(Math.random() * currentIndex);
+    randomIndex = Math.floor(random() * currentIndex);
     currentIndex--;
     [array[currentIndex], array[randomIndex]] = [
       array[randomIndex],
@@ -327,99 +638,783 @@ function shuffle(array) {
   return array;
 }
 
-const startCreating = async () => {
+/**
+ * Waits for the oldest renders until at most `_maxPending` are left. Editions
+ * are logged, counted for the progress and checkpointed in the order their DNA
+ * was created, so output and resume behave the same with or without render
+ * workers. With `visualDuplicates.check` every edition is compared to the ones
+ * before it, editions that were already compared before being accepted are
+ * `checked`.
+ */
+const flushRendered = async (_pending, _maxPending) => {
+  while (_pending.length > _maxPending) {
+    const { rendered, dna, checkpoint, checked } = _pending.shift();
+    const { hash } = await rendered;
+    logEvent(
+      "edition",
+      {
+        edition: checkpoint.edition,
+        dna: sha1(dna),
+        layerConfigIndex: checkpoint.layerConfigIndex,
+      },
+      debugLogs
+        ? `Created edition: ${checkpoint.edition}, with DNA: ${sha1(dna)}`
+        : undefined
+    );
+    let duplicate = null;
+    if (hash != undefined) {
+      duplicate = checked
+        ? null
+        : findVisualDuplicate(visualHashes, hash, visualDuplicates.threshold);
+      if (duplicate) {
+        logEvent(
+          "visual_duplicate",
+          {
+            edition: checkpoint.edition,
+            duplicateOf: duplicate.edition,
+            distance: duplicate.distance,
+          },
+          `Edition ${checkpoint.edition} looks like edition ${duplicate.edition} (${duplicate.distance} bits differ)`
+        );
+        visualDuplicateList.push({
+          edition: checkpoint.edition,
+          duplicateOf: duplicate.edition,
+          distance: duplicate.distance,
+        });
+      }
+      visualHashes.push({ edition: checkpoint.edition, hash });
+    }
+    if (!checkpoint.legendary) {
+      dnaRegistry.set(checkpoint.edition, {
+        layerConfigIndex: checkpoint.layerConfigIndex,
+        dna,
+      });
+    }
+    saveCheckpoint({
+      ...checkpoint,
+      fullDna: checkpoint.legendary ? undefined : dna,
+      hash,
+      duplicate,
+    });
+    progress.tick(checkpoint.failedCount);
+  }
+};
+
+/**
+ * Legendaries take edition numbers out of the collection, so the last layer
+ * configurations generate fewer editions to keep the collection size.
+ */
+const getEditionTargets = (_legendaryCount) => {
+  const total =
+    layerConfigurations[layerConfigurations.length - 1].growEditionSizeTo -
+    _legendaryCount;
+  return layerConfigurations.map((layerConfig) =>
+    Math.min(layerConfig.growEditionSizeTo, total)
+  );
+};
+
+/**
+ * Builds the layers of every layer configuration and checks their rules before
+ * anything is written, so a broken configuration never leaves a half started
+ * build behind.
+ */
+const layerConfigurationsSetup = (_editionTargets) => {
+  let hasErrors = false;
+  const setups = layerConfigurations.map((layerConfig, index) => {
+    let quotas = [];
+    const layers = layersSetup(layerConfig.layersOrder);
+    const editions = _editionTargets[index] - (_editionTargets[index - 1] ?? 0);
+    const { rules, errors, warnings } = checkRules(
+      layers,
+      layerConfig.rules,
+      editions
+    );
+    errors.push(...checkTraits(layers));
+    if (errors.length == 0) {
+      const quotaCheck = checkQuotas(layers, rules, editions);
+      errors.push(...quotaCheck.errors);
+      quotas = quotaCheck.quotas;
+    }
+    warnings.forEach((warning) =>
+      logEvent(
+        "warning",
+        { layerConfigIndex: index, message: warning },
+        `Warning: ${warning}`
+      )
+    );
+    if (errors.length > 0) {
+      errors.forEach((error) =>
+        logEvent(
+          "error",
+          { layerConfigIndex: index, message: error },
+          `Error: ${error}`
+        )
+      );
+      logEvent(
+        "error",
+        { layerConfigIndex: index, message: "invalid layer configuration" },
+        `Fix layer configuration ${index} before generating.`
+      );
+      hasErrors = true;
+    }
+    return { layers, rules, quotas };
+  });
+  if (hasErrors) {
+    process.exit(1);
+  }
+  return setups;
+};
+
+/**
+ * Highest edition number handed out. Edition numbers start at 0 and one more
+ * number than needed goes into the shuffle, Candy Machine needs them from 0 to
+ * the edition count - 1 without gaps though.
+ */
+const getLastEdition = () => {
+  const total =
+    layerConfigurations[layerConfigurations.length - 1].growEditionSizeTo;
+  return network == NETWORK.sol ? total - 1 : total;
+};
+
+const legendariesSetup = () => {
+  const { legendaries, errors } = getLegendaries(getLastEdition());
+  if (errors.length > 0) {
+    errors.forEach((error) =>
+      logEvent("error", { message: error }, `Error: ${error}`)
+    );
+    process.exit(1);
+  }
+  return legendaries;
+};
+
+/**
+ * Reads and checks the editions with fixed traits of `--fixed`, nothing is
+ * generated when a row is wrong.
+ */
+const fixedSetup = (_file, _editionTargets, _layerSetups, _legendaries) => {
+  if (_file == undefined) {
+    return [];
+  }
+  const { fixed, errors } = getFixedEditions(
+    _file,
+    _layerSetups,
+    _editionTargets,
+    getLastEdition(),
+    _legendaries
+  );
+  if (errors.length > 0) {
+    errors.forEach((error) =>
+      logEvent("error", { message: error }, `Error: ${error}`)
+    );
+    process.exit(1);
+  }
+  return fixed;
+};
+
+// re-rolls depend on the seed, the dry run averages this many simulated runs
+const DRY_RUNS = 10;
+
+/**
+ * Picks the DNA of every layer configuration like startCreating does, but
+ * without rendering or writing anything, to see how far the configuration is
+ * from running out of unique combinations. The first of the DRY_RUNS runs uses
+ * the seed itself, the others a seed derived from it.
+ *
+ * @param {Object} _options `seed` and `fixed` from the CLI
+ * @returns {Array} Per layer configuration its editions, combinations,
+ * warnings, expected trait counts, the re-rolls of the simulated runs as
+ * {average, min, max, runs}, the runs stopped by uniqueDnaTorrance with the
+ * fewest editions picked in a run and the number of rows of `--fixed`, which
+ * are only checked
+ */
+const dryRun = (_options = {}) => {
+  const { editionTargets, layerSetups, fixed } = generationSetup({
+    fixed: _options.fixed,
+  });
+  buildSeed = String(_options.seed ?? seed ?? createSeed());
+  const getEditions = (_index) =>
+    editionTargets[_index] - (editionTargets[_index - 1] ?? 0);
+  const runs = layerSetups.map(() => []);
+  for (let run = 0; run < DRY_RUNS; run++) {
+    random = createRandom(run == 0 ? buildSeed : `${buildSeed}-${run}`);
+    // like in startCreating the failures add up over the layer configurations
+    let failedCount = 0;
+    layerSetups.forEach(({ layers, rules, quotas }, index) => {
+      const editions = getEditions(index);
+      const simulatedQuotas = JSON.parse(JSON.stringify(quotas));
+      const simulatedDna = new Set();
+      let rerolls = 0;
+      while (simulatedDna.size < editions && failedCount < uniqueDnaTorrance) {
+        const newDna = createDna(layers, rules, simulatedQuotas);
+        if (newDna != null && isDnaUnique(simulatedDna, newDna)) {
+          consumeQuotas(simulatedQuotas, constructLayerToDna(newDna, layers));
+          simulatedDna.add(filterDNAOptions(newDna));
+        } else {
+          rerolls++;
+          failedCount++;
+        }
+      }
+      runs[index].push({ created: simulatedDna.size, rerolls });
+    });
+  }
+  return layerSetups.map(({ layers, rules, quotas }, index) => {
+    const editions = getEditions(index);
+    const combinations = countDnaCombinations(layers, rules);
+    const rerolls = runs[index].map((run) => run.rerolls);
+    const created = runs[index].map((run) => run.created);
+    return {
+      editions,
+      combinations,
+      warnings: checkCapacity(combinations, editions),
+      expectedCounts: getExpectedCounts(layers, quotas, editions),
+      created: Math.min(...created),
+      stoppedRuns: created.filter((count) => count < editions).length,
+      fixed: fixed.filter((entry) => entry.layerConfigIndex == index).length,
+      rerolls: {
+        average: rerolls.reduce((sum, count) => sum + count, 0) / DRY_RUNS,
+        min: Math.min(...rerolls),
+        max: Math.max(...rerolls),
+        runs: DRY_RUNS,
+      },
+      seed: buildSeed,
+    };
+  });
+};
+
+/**
+ * Logs the collisions of every layer configuration and writes build/report.json.
+ * Timing and throughput are the ones of this run, a resumed run only counts
+ * the editions it created itself.
+ */
+const writeBuildReport = (
+  _options,
+  _startedAt,
+  _editionTargets,
+  _legendaryCount,
+  _fixedCount
+) => {
+  const { done, seconds, rate } = progress.getStats();
+  const layerConfigs = _editionTargets.map((target, index) => ({
+    index,
+    editions: target - (_editionTargets[index - 1] ?? 0),
+    collisions: collisionStats[index],
+  }));
+  layerConfigs.forEach(({ index, editions, collisions }) =>
+    logEvent(
+      "layer_configuration",
+      { layerConfigIndex: index, editions, collisions },
+      `Layer configuration ${index}: ${editions} editions, ${collisions.dna} existing DNA, ${collisions.rules} without a DNA satisfying the rules, ${collisions.visual} visual duplicates re-rolled`
+    )
+  );
+  const report = writeReport(
+    {
+      seed: buildSeed,
+      date: buildDate,
+      network,
+      editions: done,
+      legendaries: _legendaryCount,
+      fixed: _fixedCount,
+      resumed: Boolean(_options.resume),
+      timing: {
+        startedAt: new Date(_startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        seconds: Number(seconds.toFixed(3)),
+        editionsPerSecond: Number(rate.toFixed(2)),
+      },
+      layerConfigurations: layerConfigs,
+      visualDuplicates: visualDuplicates?.check
+        ? visualDuplicateList.length
+        : null,
+    },
+    metadataList
+  );
+  logEvent(
+    "done",
+    { editions: done, seconds: Number(seconds.toFixed(3)), report },
+    `Created ${done} editions in ${formatDuration(seconds)}, report: ${report}`
+  );
+};
+
+/**
+ * Reads and checks everything a generation needs from the config, the layer
+ * and legendaries folders and the `--fixed` file. Every problem exits here,
+ * before buildSetup touches the build folder.
+ *
+ * @param {Object} _options `fixed` and `resume` from the CLI, a resumed run
+ * takes the fixed editions left from its checkpoint instead
+ * @returns {{legendaries, editionTargets, layerSetups, fixed}} For startCreating
+ */
+const generationSetup = (_options = {}) => {
+  const legendaries = legendariesSetup();
+  const editionTargets = getEditionTargets(legendaries.length);
+  const layerSetups = layerConfigurationsSetup(editionTargets);
+  const fixed = _options.resume
+    ? []
+    : fixedSetup(_options.fixed, editionTargets, layerSetups, legendaries);
+  return { legendaries, editionTargets, layerSetups, fixed };
+};
+
+const startCreating = async (
+  _options = {},
+  _setup = generationSetup(_options)
+) => {
+  const startedAt = Date.now();
   let layerConfigIndex = 0;
   let editionCount = 1;
   let failedCount = 0;
   let abstractedIndexes = [];
-  for (
-    let i = network == NETWORK.sol ? 0 : 0;
-    i <= layerConfigurations[layerConfigurations.length - 1].growEditionSizeTo;
-    i++
-  ) {
-    abstractedIndexes.push(i);
+  let legendaryPlacements = [];
+  const { legendaries, editionTargets, layerSetups } = _setup;
+  let fixedEditions = _setup.fixed;
+  let fixedCount = fixedEditions.length;
+  collisionStats = layerConfigurations.map(() => ({
+    dna: 0,
+    rules: 0,
+    visual: 0,
+  }));
+  if (_options.resume) {
+    const checkpoint = loadCheckpoint();
+    seedSetup(checkpoint.seed, checkpoint.date, checkpoint.state);
+    ({
+      layerConfigIndex,
+      editionCount,
+      failedCount,
+      abstractedIndexes,
+      legendaries: legendaryPlacements,
+      fixed: fixedEditions,
+      fixedCount,
+    } = checkpoint);
+    if (checkpoint.quotas) {
+      layerSetups[layerConfigIndex].quotas = checkpoint.quotas;
+    }
+    if (checkpoint.collisions) {
+      collisionStats = checkpoint.collisions;
+    }
+    logEvent(
+      "resume",
+      { created: metadataList.length },
+      `Resuming generation, ${metadataList.length} editions already created.`
+    );
+  } else {
+    seedSetup(_options.seed, _options.date);
+    for (let i = 0; i <= getLastEdition(); i++) {
+      abstractedIndexes.push(i);
+    }
+    if (shuffleLayerConfigurations) {
+      abstractedIndexes = shuffle(abstractedIndexes);
+    }
+    const total =
+      layerConfigurations[layerConfigurations.length - 1].growEditionSizeTo;
+    abstractedIndexes = placeFixedEditions(
+      fixedEditions,
+      abstractedIndexes,
+      total
+    );
+    ({ placements: legendaryPlacements, abstractedIndexes } = placeLegendaries(
+      legendaries,
+      abstractedIndexes,
+      total - fixedEditions.filter((fixed) => fixed.edition != null).length,
+      random
+    ));
+    startCheckpoint(abstractedIndexes, legendaryPlacements, fixedEditions);
   }
-  if (shuffleLayerConfigurations) {
-    abstractedIndexes = shuffle(abstractedIndexes);
+  // DNA is always picked here, only compositing and encoding run in workers
+  const renderPool =
+    renderWorkers > 1
+      ? new RenderPool(renderWorkers, `${basePath}/src/renderWorker.js`)
+      : null;
+  const renderer = renderPool ? null : createRenderer();
+  // a re-roll needs the hashes of every edition before it
+  const rerollVisualDuplicates =
+    visualDuplicates?.check && visualDuplicates.action == "reroll";
+  const maxPending =
+    renderPool && !rerollVisualDuplicates ? renderWorkers * 2 : 0;
+  const pending = [];
+  const reservedDna = getReservedDna(fixedEditions, layerSetups);
+  const total =
+    layerConfigurations[layerConfigurations.length - 1].growEditionSizeTo;
+  progress = createProgress(total, metadataList.length);
+  logEvent(
+    "start",
+    { editions: total, created: metadataList.length, renderWorkers },
+    `Generating ${total} editions...`
+  );
+  // _kind is "dna" for an existing DNA, "rules" when no DNA satisfies the
+  // rules and "visual" for a visual duplicate
+  const rejectDna = (_kind, _reason) => {
+    failedCount++;
+    collisionStats[layerConfigIndex][_kind]++;
+    logEvent(
+      "collision",
+      { kind: _kind, layerConfigIndex, failedCount, message: _reason },
+      debugLogs ? _reason : undefined
+    );
+    if (failedCount >= uniqueDnaTorrance) {
+      endProgress();
+      logEvent(
+        "error",
+        { layerConfigIndex, failedCount, message: "uniqueDnaTorrance reached" },
+        `You need more layers or elements to grow your edition to ${editionTargets[layerConfigIndex]} artworks!`
+      );
+      process.exit(1);
+    }
+  };
+  // copied into every checkpoint entry so a resumed run keeps counting
+  const getCollisions = () => JSON.parse(JSON.stringify(collisionStats));
+  // legendaries are written as they are, without DNA
+  for (const placement of legendaryPlacements) {
+    const legendary = legendaries.find((l) => l.file == placement.file);
+    attributesList = legendary.attributes;
+    addMetadata(`legendary:${legendary.file}`, placement.edition, legendary);
+    saveMetaDataSingleFile(placement.edition);
+    const job = {
+      edition: placement.edition,
+      animated: false,
+      layers: [
+        {
+          name: "Legendary",
+          blend: "source-over",
+          opacity: 1,
+          selectedElement: { name: legendary.file, path: legendary.path },
+          placement: null,
+        },
+      ],
+      background: null,
+    };
+    const rendered = renderPool
+      ? renderPool.render(job)
+      : renderer.renderEdition(job);
+    rendered.catch(() => null);
+    pending.push({
+      rendered,
+      dna: `legendary:${legendary.file}`,
+      checkpoint: {
+        edition: placement.edition,
+        legendary: true,
+        layerConfigIndex,
+        editionCount,
+        failedCount,
+        collisions: getCollisions(),
+        quotas: JSON.parse(
+          JSON.stringify(layerSetups[layerConfigIndex].quotas)
+        ),
+        state: random.getState(),
+      },
+    });
+    await flushRendered(pending, maxPending);
   }
   debugLogs
-    ? console.log("Editions left to create: ", abstractedIndexes)
+    ? logDebug(`Editions left to create: ${abstractedIndexes.join(", ")}`)
     : null;
+  /**
+   * Renders an edition and writes its attributes, metadata and checkpoint.
+   * With `_reroll` an edition looking like an earlier one is rejected instead.
+   *
+   * @returns {Boolean} Whether the edition was created
+   */
+  const createEdition = async (_edition, _dna, _setup, _reroll, _fixedRow) => {
+    const { layers, quotas } = _setup;
+    let results = setTextValues(
+      constructLayerToDna(_dna, layers),
+      _edition,
+      `${namePrefix} #${_edition}`
+    );
+    let job = getRenderJob(_edition, results);
+    let rendered = renderPool
+      ? renderPool.render(job)
+      : renderer.renderEdition(job);
+    // a failed render is thrown once flushRendered awaits it
+    rendered.catch(() => null);
+    if (_reroll) {
+      const duplicate = findVisualDuplicate(
+        visualHashes,
+        (await rendered).hash,
+        visualDuplicates.threshold
+      );
+      if (duplicate) {
+        // the same DNA would look the same again
+        dnaList.add(filterDNAOptions(_dna));
+        rejectDna("visual", `Looks like edition ${duplicate.edition}!`);
+        return false;
+      }
+    }
+    results.forEach((layer) => addAttributes(layer));
+    addEditionAttributes(results);
+    consumeQuotas(quotas, results);
+    addMetadata(_dna, _edition);
+    saveMetaDataSingleFile(_edition);
+    dnaList.add(filterDNAOptions(_dna));
+    editionCount++;
+    pending.push({
+      rendered,
+      checked: _reroll,
+      dna: _dna,
+      checkpoint: {
+        edition: _edition,
+        dna: filterDNAOptions(_dna),
+        fixedRow: _fixedRow,
+        layerConfigIndex,
+        editionCount,
+        failedCount,
+        collisions: getCollisions(),
+        quotas: JSON.parse(JSON.stringify(quotas)),
+        state: random.getState(),
+      },
+    });
+    debugLogs
+      ? logDebug(`Editions left to create: ${abstractedIndexes.join(", ")}`)
+      : null;
+    await flushRendered(pending, maxPending);
+    return true;
+  };
   while (layerConfigIndex < layerConfigurations.length) {
-    const layers = layersSetup(
-      layerConfigurations[layerConfigIndex].layersOrder
+    const { layers, rules, quotas } = layerSetups[layerConfigIndex];
+    // fixed editions come first, the random ones fill up the rest
+    const fixedOfConfig = fixedEditions.filter(
+      (fixed) => fixed.layerConfigIndex == layerConfigIndex
     );
-    while (
-      editionCount <= layerConfigurations[layerConfigIndex].growEditionSizeTo
-    ) {
-      let newDna = createDna(layers);
-      if (isDnaUnique(dnaList, newDna)) {
-        let results = constructLayerToDna(newDna, layers);
-        let loadedElements = [];
-
-        results.forEach((layer) => {
-          loadedElements.push(loadLayerImg(layer));
-        });
-
-        await Promise.all(loadedElements).then((renderObjectArray) => {
-          debugLogs ? console.log("Clearing canvas") : null;
-          ctx.clearRect(0, 0, format.width, format.height);
-          if (gif.export) {
-            hashlipsGiffer = new HashlipsGiffer(
-              canvas,
-              ctx,
-              `${buildDir}/gifs/${abstractedIndexes[0]}.gif`,
-              gif.repeat,
-              gif.quality,
-              gif.delay
-            );
-            hashlipsGiffer.start();
-          }
-          if (background.generate) {
-            drawBackground();
-          }
-          renderObjectArray.forEach((renderObject, index) => {
-            drawElement(
-              renderObject,
-              index,
-              layerConfigurations[layerConfigIndex].layersOrder.length
-            );
-            if (gif.export) {
-              hashlipsGiffer.add();
-            }
-          });
-          if (gif.export) {
-            hashlipsGiffer.stop();
-          }
-          debugLogs
-            ? console.log("Editions left to create: ", abstractedIndexes)
-            : null;
-          saveImage(abstractedIndexes[0]);
-          addMetadata(newDna, abstractedIndexes[0]);
-          saveMetaDataSingleFile(abstractedIndexes[0]);
-          console.log(
-            `Created edition: ${abstractedIndexes[0]}, with DNA: ${sha1(
-              newDna
-            )}`
+    for (const [index, fixed] of fixedOfConfig.entries()) {
+      const picks = getFixedPicks(fixed, layers);
+      const available = reserveQuotas(quotas, fixedOfConfig.slice(index + 1));
+      let created = false;
+      while (!created) {
+        let newDna = createDna(layers, rules, available, picks);
+        if (newDna != null && isDnaUnique(dnaList, newDna)) {
+          const edition = fixed.edition ?? abstractedIndexes.shift();
+          created = await createEdition(
+            edition,
+            newDna,
+            layerSetups[layerConfigIndex],
+            false,
+            fixed.row
           );
-        });
-        dnaList.add(filterDNAOptions(newDna));
-        editionCount++;
-        abstractedIndexes.shift();
-      } else {
-        console.log("DNA exists!");
-        failedCount++;
-        if (failedCount >= uniqueDnaTorrance) {
-          console.log(
-            `You need more layers or elements to grow your edition to ${layerConfigurations[layerConfigIndex].growEditionSizeTo} artworks!`
+        } else if (newDna == null) {
+          rejectDna(
+            "rules",
+            `No DNA satisfies row ${fixed.row} and the rules!`
           );
-          process.exit();
+        } else {
+          rejectDna("dna", `DNA of row ${fixed.row} exists!`);
+        }
+      }
+    }
+    while (editionCount <= editionTargets[layerConfigIndex]) {
+      let newDna = createDna(layers, rules, quotas);
+      const reserved =
+        newDna != null && reservedDna.has(getDnaElements(newDna));
+      if (newDna != null && isDnaUnique(dnaList, newDna) && !reserved) {
+        let edition = abstractedIndexes.shift();
+        const created = await createEdition(
+          edition,
+          newDna,
+          layerSetups[layerConfigIndex],
+          rerollVisualDuplicates
+        );
+        if (!created) {
+          abstractedIndexes.unshift(edition);
+        }
+      } else {
+        if (newDna == null) {
+          rejectDna("rules", "No DNA satisfies the rules!");
+        } else if (reserved) {
+          rejectDna("dna", "DNA is reserved for a fixed edition!");
+        } else {
+          rejectDna("dna", "DNA exists!");
         }
       }
     }
     layerConfigIndex++;
   }
+  await flushRendered(pending, 0);
+  await renderPool?.close();
+  progress.show(failedCount);
+  endProgress();
+  writeMetaData(JSON.stringify(metadataList, null, 2));
+  writeDnaRegistry();
+  if (visualDuplicates?.check) {
+    writeVisualDuplicates();
+  }
+  if (network == NETWORK.sol) {
+    exportAssets(metadataList);
+  }
+  writeBuildReport(
+    _options,
+    startedAt,
+    editionTargets,
+    legendaries.length,
+    fixedCount
+  );
+  fs.rmSync(checkpointFile, { force: true });
+};
+
+// Same check as uploadFiles: an uploaded file is replaced by its https URL.
+// Metadata is uploaded after the files, so its editions pass this check too
+const isUploaded = (_metadata) =>
+  Object.values(getUriFields(network)?.getUris(_metadata) ?? {}).some(
+    (uri) => typeof uri == "string" && uri.includes("https://")
+  );
+
+/**
+ * Quota layers of the re-rolled editions may only pick the elements those
+ * editions free up, so the exact counts stay exact.
+ */
+const getFreedQuotas = (_layers, _quotas, _entries) => {
+  const freed = _quotas.map((quota) =>
+    quota ? Object.fromEntries(Object.keys(quota).map((id) => [id, 0])) : null
+  );
+  _entries.forEach((entry) =>
+    constructLayerToDna(entry.dna, _layers).forEach((layer, layerIndex) => {
+      if (freed[layerIndex]) {
+        freed[layerIndex][layer.selectedElement.id]++;
+      }
+    })
+  );
+  return freed;
+};
+
+const failReroll = (_message) => {
+  logEvent("error", { message: _message }, _message);
+  process.exit(1);
+};
+
+/**
+ * Gives editions of a generated collection new unique DNA and renders only
+ * them again. All DNA is picked before anything is written, so a failed
+ * re-roll leaves the collection as it was. The new DNA is saved to _dna.json
+ * and the old one goes to its `retired` list, so no later re-roll can bring it
+ * back.
+ *
+ * @param {Array} _editions Edition numbers to re-roll
+ * @param {Object} _options `seed` for the new DNA and `force` to re-roll
+ * editions that were already uploaded
+ * @returns {Object} {seed, editions} of the re-roll
+ */
+const rerollEditions = async (_editions, _options = {}) => {
+  if (!fs.existsSync(`${buildDir}/json/_metadata.json`)) {
+    failReroll(`No collection found in ${buildDir}, generate it first.`);
+  }
+  if (!fs.existsSync(dnaFile)) {
+    failReroll(
+      `${dnaFile} is missing, the collection was generated before DNA was saved. Generate it again to re-roll single editions.`
+    );
+  }
+  metadataList = JSON.parse(fs.readFileSync(`${buildDir}/json/_metadata.json`));
+  const savedDna = JSON.parse(fs.readFileSync(dnaFile));
+  savedDna.editions.forEach(({ edition, ...entry }) =>
+    dnaRegistry.set(edition, entry)
+  );
+  retiredDna = savedDna.retired;
+  const editions = [...new Set(_editions)].sort((a, b) => a - b);
+  if (editions.length == 0) {
+    failReroll("No editions to re-roll.");
+  }
+  editions.forEach((edition) => {
+    const metadata = metadataList.find((meta) => meta.edition == edition);
+    if (metadata == undefined) {
+      failReroll(`Edition ${edition} is not part of the collection.`);
+    }
+    if (!dnaRegistry.has(edition)) {
+      failReroll(`Edition ${edition} is a legendary and has no DNA.`);
+    }
+  });
+  const uploaded = editions.filter((edition) =>
+    isUploaded(metadataList.find((meta) => meta.edition == edition))
+  );
+  if (uploaded.length > 0 && !_options.force) {
+    failReroll(
+      `Edition(s) ${uploaded.join(
+        ", "
+      )} are already uploaded. Run with --force to re-roll them anyway and upload them again.`
+    );
+  }
+
+  const legendaries = legendariesSetup();
+  const layerSetups = layerConfigurationsSetup(
+    getEditionTargets(legendaries.length)
+  );
+  const seedFile = `${buildDir}/_seed.json`;
+  buildDate = fs.existsSync(seedFile)
+    ? JSON.parse(fs.readFileSync(seedFile)).date
+    : Date.now();
+  const rerollSeed = String(_options.seed ?? createSeed());
+  random = createRandom(rerollSeed);
+  logEvent(
+    "seed",
+    { seed: rerollSeed, date: buildDate },
+    `Using seed: ${rerollSeed}`
+  );
+  dnaList = new Set(
+    [...dnaRegistry.values(), ...retiredDna].map((entry) =>
+      filterDNAOptions(entry.dna)
+    )
+  );
+  const freedQuotas = layerSetups.map(({ layers, quotas }, index) =>
+    getFreedQuotas(
+      layers,
+      quotas,
+      editions
+        .map((edition) => dnaRegistry.get(edition))
+        .filter((entry) => entry.layerConfigIndex == index)
+    )
+  );
+  let failedCount = 0;
+  const picks = editions.map((edition) => {
+    const { layerConfigIndex } = dnaRegistry.get(edition);
+    const { layers, rules } = layerSetups[layerConfigIndex];
+    const quotas = freedQuotas[layerConfigIndex];
+    while (failedCount < uniqueDnaTorrance) {
+      const newDna = createDna(layers, rules, quotas);
+      if (newDna != null && isDnaUnique(dnaList, newDna)) {
+        consumeQuotas(quotas, constructLayerToDna(newDna, layers));
+        dnaList.add(filterDNAOptions(newDna));
+        return { edition, layerConfigIndex, dna: newDna };
+      }
+      failedCount++;
+    }
+    failReroll(
+      `No new unique DNA found for edition ${edition}, nothing was changed.`
+    );
+  });
+
+  const renderer = createRenderer();
+  for (const { edition, layerConfigIndex, dna } of picks) {
+    const { layers } = layerSetups[layerConfigIndex];
+    const results = setTextValues(
+      constructLayerToDna(dna, layers),
+      edition,
+      `${namePrefix} #${edition}`
+    );
+    await renderer.renderEdition(getRenderJob(edition, results));
+    results.forEach((layer) => addAttributes(layer));
+    addEditionAttributes(results);
+    // the new metadata takes the place of the old one in _metadata.json
+    const index = metadataList.findIndex((meta) => meta.edition == edition);
+    addMetadata(dna, edition);
+    metadataList.splice(index, 1, metadataList.pop());
+    saveMetaDataSingleFile(edition);
+    retiredDna.push({ edition, ...dnaRegistry.get(edition) });
+    dnaRegistry.set(edition, { layerConfigIndex, dna });
+    logEvent(
+      "edition",
+      { edition, dna: sha1(dna), layerConfigIndex },
+      `Re-rolled edition: ${edition}, with DNA: ${sha1(dna)}`
+    );
+  }
   writeMetaData(JSON.stringify(metadataList, null, 2));
+  writeDnaRegistry();
+  if (network == NETWORK.sol) {
+    exportAssets(metadataList);
+  }
+  addRerollToReport({ seed: rerollSeed, editions }, metadataList);
+  return { seed: rerollSeed, editions };
 };
 
-module.exports = { startCreating, buildSetup, getElements };
+module.exports = {
+  startCreating,
+  rerollEditions,
+  generationSetup,
+  buildSetup,
+  dryRun,
+  getElements,
+  getLayerElements,
+};
@@ -0,0 +1,47 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const formattersDir = `${basePath}/src/formatters`;
+
+/**
+ * Every network has a formatter module in src/formatters named after its
+ * NETWORK value, eg. src/formatters/tez.js. A formatter exports
+ * `formatMetadata(_metadata)` turning the network independent metadata of an
+ * edition into the JSON written to build/json:
+ * - name, description, edition, date (ms timestamp)
+ * - attributes: [{trait_type, value, display_type?, max_value?}]
+ * - dna: sha1 of the DNA
+ * - legendary: true for hand made editions
+ * Adding a network is adding its NETWORK entry and formatter.
+ *
+ * Formatters of networks whose metadata links uploaded files also export
+ * `getUris(_metadata)` and `setUris(_metadata, _uris)`, the URIs of the output
+ * files by output folder, eg. {images: "...", thumbnails: "..."}.
+ */
+const hasFormatter = (_network) =>
+  typeof _network == "string" &&
+  /^[\w-]+$/.test(_network) &&
+  fs.existsSync(`${formattersDir}/${_network}.js`);
+
+const getFormatter = (_network) => {
+  if (!hasFormatter(_network)) {
+    throw new Error(
+      `No metadata formatter for network "${_network}" in ${formattersDir}`
+    );
+  }
+  return require(`${formattersDir}/${_network}.js`).formatMetadata;
+};
+
+/**
+ * Lets uploadFiles and update_info point the metadata to the output files
+ * without knowing the keys of a network.
+ *
+ * @returns {Object|null} {getUris, setUris}, null when the metadata of the
+ * network has no URIs to upload to, eg. Solana where Candy Machine uploads
+ */
+const getUriFields = (_network) => {
+  getFormatter(_network);
+  const { getUris, setUris } = require(`${formattersDir}/${_network}.js`);
+  return getUris && setUris ? { getUris, setUris } : null;
+};
+
+module.exports = { hasFormatter, getFormatter, getUriFields };
@@ -0,0 +1,76 @@
+const basePath = process.cwd();
+const { format, outputs, baseUri } = require(`${basePath}/src/config.js`);
+
+const FORMATS = {
+  png: { extension: "png", type: "image/png" },
+  jpeg: { extension: "jpg", type: "image/jpeg" },
+  webp: { extension: "webp", type: "image/webp" },
+};
+
+/**
+ * Returns the configured outputs with their defaults filled in. Without an
+ * `outputs` config every edition is written to build/images as a full size PNG.
+ * The first output is the primary one unless another sets `primary: true`.
+ *
+ * @returns {Array} folder, format, extension, type, width, height, quality,
+ * primary, addToFiles and baseUri of every output
+ */
+const getOutputs = () => {
+  const configured =
+    outputs?.length > 0 ? outputs : [{ folder: "images", format: "png" }];
+  const primaryIndex = Math.max(
+    configured.findIndex((output) => output.primary),
+    0
+  );
+  return configured.map((output, index) => {
+    // an unknown format is reported by validateConfig, scripts load this first
+    const { extension, type } = FORMATS[output.format ?? "png"] ?? {};
+    const width = output.width ?? format.width;
+    return {
+      folder: output.folder,
+      format: output.format ?? "png",
+      extension,
+      type,
+      width,
+      height:
+        output.height ?? Math.round((format.height / format.width) * width),
+      quality: output.quality ?? 100,
+      primary: index == primaryIndex,
+      addToFiles: output.addToFiles ?? false,
+      baseUri: output.baseUri ?? baseUri,
+    };
+  });
+};
+
+const getPrimaryOutput = () => getOutputs().find((output) => output.primary);
+
+/**
+ * Encodes a rendered canvas for one output, resizing it first if needed. WebP
+ * is not supported by canvas and goes through sharp.
+ *
+ * @param {Canvas} _canvas Rendered edition
+ * @param {Object} _output Output from getOutputs
+ * @returns {Promise<Buffer>} Encoded image
+ */
+const encodeOutput = async (_canvas, _output) => {
+  let canvas = _canvas;
+  if (_output.width != _canvas.width || _output.height != _canvas.height) {
+    const { createCanvas } = require(`${basePath}/node_modules/canvas`);
+    canvas = createCanvas(_output.width, _output.height);
+    canvas
+      .getContext("2d")
+      .drawImage(_canvas, 0, 0, _output.width, _output.height);
+  }
+  if (_output.format == "webp") {
+    const sharp = require(`${basePath}/node_modules/sharp`);
+    return sharp(canvas.toBuffer("image/png"))
+      .webp({ quality: _output.quality })
+      .toBuffer();
+  }
+  if (_output.format == "jpeg") {
+    return canvas.toBuffer("image/jpeg", { quality: _output.quality / 100 });
+  }
+  return canvas.toBuffer("image/png");
+};
+
+module.exports = { FORMATS, getOutputs, getPrimaryOutput, encodeOutput };
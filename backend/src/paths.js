@@ -0,0 +1,61 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const { CLI_ENV } = require(`${basePath}/constants/cli.js`);
+
+const profilesDir = `${basePath}/profiles`;
+// first one found is the config of a profile
+const CONFIG_FILES = ["config.js", "config.json", "config.yaml", "config.yml"];
+
+/**
+ * A profile is a folder of profiles/ with its own config, layers, legendaries,
+ * fonts and build folder, eg. profiles/halloween/config.yaml,
+ * profiles/halloween/layers/ and profiles/halloween/build/.
+ *
+ * @param {String} _name Name of the profile folder
+ * @returns {Object|null} {name, dir, config, layersDir, legendariesDir,
+ * fontsDir, buildDir}, config is null when the folder has no config file, null
+ * when there is no such profile
+ */
+const getProfile = (_name) => {
+  const dir = `${profilesDir}/${_name}`;
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    return null;
+  }
+  const configFile = CONFIG_FILES.find((file) =>
+    fs.existsSync(`${dir}/${file}`)
+  );
+  return {
+    name: _name,
+    dir,
+    config: configFile ? `${dir}/${configFile}` : null,
+    layersDir: `${dir}/layers`,
+    legendariesDir: `${dir}/legendaries`,
+    fontsDir: `${dir}/fonts`,
+    buildDir: `${dir}/build`,
+  };
+};
+
+const getProfiles = () =>
+  fs.existsSync(profilesDir)
+    ? fs
+        .readdirSync(profilesDir)
+        .map((name) => getProfile(name))
+        .filter((profile) => profile != null)
+    : [];
+
+// index.js sets the selected profile for every script it runs
+const profile = process.env[CLI_ENV.profile]
+  ? getProfile(process.env[CLI_ENV.profile])
+  : null;
+
+module.exports = {
+  CONFIG_FILES,
+  profilesDir,
+  profile,
+  layersDir: profile ? profile.layersDir : `${basePath}/layers`,
+  legendariesDir: profile ? profile.legendariesDir : `${basePath}/legendaries`,
+  fontsDir: profile ? profile.fontsDir : `${basePath}/fonts`,
+  buildDir: profile ? profile.buildDir : `${basePath}/build`,
+  getProfile,
+  getProfiles,
+};
@@ -0,0 +1,152 @@
+const JITTER_KEYS = ["x", "y", "scale", "rotation"];
+const JITTER_DECIMALS = { x: 0, y: 0, scale: 2, rotation: 1 };
+
+const DEFAULT_PLACEMENT = {
+  x: 0,
+  y: 0,
+  scale: 1,
+  rotation: 0,
+  anchor: { x: 0, y: 0 },
+  jitter: {},
+};
+
+const isNumber = (_value) => typeof _value == "number" && !isNaN(_value);
+
+/**
+ * Checks a placement as written in config.js or an element sidecar file.
+ *
+ * @returns {Array} Every problem found as a message
+ */
+const checkPlacement = (_placement) => {
+  if (_placement == null || typeof _placement != "object") {
+    return [`placement must be an object, eg. { x: 100, y: 200 }`];
+  }
+  const messages = [];
+  Object.keys(_placement)
+    .filter((key) => DEFAULT_PLACEMENT[key] == undefined)
+    .forEach((key) => messages.push(`placement has no option "${key}"`));
+  ["x", "y", "rotation"]
+    .filter((key) => _placement[key] != undefined && !isNumber(_placement[key]))
+    .forEach((key) =>
+      messages.push(
+        `placement ${key} must be a number, got "${_placement[key]}"`
+      )
+    );
+  if (
+    _placement.scale != undefined &&
+    !(isNumber(_placement.scale) && _placement.scale > 0)
+  ) {
+    messages.push(
+      `placement scale must be a number above 0, got "${_placement.scale}"`
+    );
+  }
+  Object.entries(_placement.anchor ?? {}).forEach(([key, value]) => {
+    if (!["x", "y"].includes(key)) {
+      messages.push(`placement anchor has no option "${key}"`);
+    } else if (!isNumber(value)) {
+      messages.push(
+        `placement anchor ${key} must be a number, eg. 0.5 for the center`
+      );
+    }
+  });
+  Object.entries(_placement.jitter ?? {}).forEach(([key, value]) => {
+    if (!JITTER_KEYS.includes(key)) {
+      messages.push(
+        `placement jitter has no option "${key}", use ${JITTER_KEYS.join(", ")}`
+      );
+    } else if (!isNumber(value) || value < 0) {
+      messages.push(
+        `placement jitter ${key} must be a number from 0 up, got "${value}"`
+      );
+    }
+  });
+  return messages;
+};
+
+/**
+ * Merges the placement options of a layer with the placement from an element
+ * sidecar file, the element wins. Without any placement the element is drawn
+ * stretched over the whole canvas like before, so null is returned.
+ *
+ * @param {Object} _layer Layer from layersSetup
+ * @param {Object} _element Element of that layer
+ * @returns {Object|null} x, y, scale, rotation (degrees), anchor and jitter
+ */
+const getPlacement = (_layer, _element) => {
+  if (_layer.placement == undefined && _element.placement == undefined) {
+    return null;
+  }
+  return {
+    ...DEFAULT_PLACEMENT,
+    ..._layer.placement,
+    ..._element.placement,
+    anchor: {
+      ...DEFAULT_PLACEMENT.anchor,
+      ..._layer.placement?.anchor,
+      ..._element.placement?.anchor,
+    },
+    jitter: {
+      ..._layer.placement?.jitter,
+      ..._element.placement?.jitter,
+    },
+  };
+};
+
+/**
+ * Rolls the random offsets of a placement. Values are rounded so they can be
+ * stored in the DNA and read back exactly.
+ *
+ * @param {Object} _placement Placement from getPlacement
+ * @param {Function} _random Seeded random function
+ * @returns {Array} Offsets for x, y, scale and rotation
+ */
+const rollJitter = (_placement, _random) => {
+  return JITTER_KEYS.map((key) => {
+    const range = _placement?.jitter[key] ?? 0;
+    if (range == 0) {
+      return 0;
+    }
+    return Number(((_random() * 2 - 1) * range).toFixed(JITTER_DECIMALS[key]));
+  });
+};
+
+/**
+ * Jitter is added to the DNA as `@x,y,scale,rotation`. Minus signs are written
+ * as `~` because `-` separates the layers of the DNA.
+ */
+const encodeJitter = (_offsets) => {
+  return _offsets.some((offset) => offset != 0)
+    ? `@${_offsets.join(",").replace(/-/g, "~")}`
+    : "";
+};
+
+const decodeJitter = (_dnaPart = "") => {
+  const match = /@([^@?]*)(\?.*)?$/.exec(_dnaPart);
+  const offsets = match
+    ? match[1].split(",").map((value) => Number(value.replace(/~/g, "-")))
+    : [];
+  return JITTER_KEYS.map((key, index) => offsets[index] ?? 0);
+};
+
+const applyJitter = (_placement, _offsets) => {
+  if (_placement == null) {
+    return null;
+  }
+  const [x, y, scale, rotation] = _offsets;
+  return {
+    ..._placement,
+    x: _placement.x + x,
+    y: _placement.y + y,
+    scale: _placement.scale + scale,
+    rotation: _placement.rotation + rotation,
+  };
+};
+
+module.exports = {
+  checkPlacement,
+  getPlacement,
+  rollJitter,
+  encodeJitter,
+  decodeJitter,
+  applyJitter,
+};
@@ -0,0 +1,88 @@
+const basePath = process.cwd();
+const { showProgress } = require(`${basePath}/src/log.js`);
+
+// ms between two updates of the progress, a terminal line is cheap to redraw
+const TERMINAL_INTERVAL = 200;
+const LOG_INTERVAL = 10000;
+const BAR_WIDTH = 20;
+
+const formatDuration = (_seconds) => {
+  const seconds = Math.round(_seconds);
+  const pad = (_n) => String(_n).padStart(2, "0");
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${pad(
+      Math.floor((seconds % 3600) / 60)
+    )}m`;
+  }
+  if (seconds >= 60) {
+    return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+  }
+  return `${seconds}s`;
+};
+
+/**
+ * Tracks the editions created by a run for the progress display. Throughput
+ * and ETA only count the editions of this run, so a resumed run is not
+ * faster than it really is.
+ *
+ * @param {Number} _total Editions of the collection
+ * @param {Number} _done Editions created before, when resuming
+ * @returns {Object} {tick, show, getStats}
+ */
+const createProgress = (_total, _done = 0) => {
+  const startedAt = Date.now();
+  const interval = process.stdout.isTTY ? TERMINAL_INTERVAL : LOG_INTERVAL;
+  let done = _done;
+  let shownAt = startedAt;
+
+  const getStats = () => {
+    const seconds = (Date.now() - startedAt) / 1000;
+    const rate = seconds > 0 ? (done - _done) / seconds : 0;
+    return {
+      done,
+      total: _total,
+      seconds,
+      rate,
+      eta: rate > 0 ? (_total - done) / rate : null,
+    };
+  };
+
+  // _collisions is the number of rejected DNA so far
+  const show = (_collisions) => {
+    const stats = getStats();
+    const share = _total > 0 ? stats.done / _total : 1;
+    const filled = Math.round(share * BAR_WIDTH);
+    shownAt = Date.now();
+    showProgress(
+      [
+        `[${"#".repeat(filled)}${".".repeat(BAR_WIDTH - filled)}] ${
+          stats.done
+        }/${_total} (${Math.floor(share * 100)}%)`,
+        `${stats.rate.toFixed(1)} editions/s`,
+        `ETA ${stats.eta == null ? "-" : formatDuration(stats.eta)}`,
+        `${_collisions} collisions`,
+      ].join(" | "),
+      {
+        done: stats.done,
+        total: _total,
+        rate: Number(stats.rate.toFixed(2)),
+        eta: stats.eta == null ? null : Math.round(stats.eta),
+        collisions: _collisions,
+      }
+    );
+  };
+
+  const tick = (_collisions) => {
+    done++;
+    if (done < _total && Date.now() - shownAt >= interval) {
+      show(_collisions);
+    }
+  };
+
+  return { tick, show, getStats };
+};
+
+module.exports = {
+  createProgress,
+  formatDuration,
+};
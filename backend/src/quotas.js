@@ -0,0 +1,257 @@
+const basePath = process.cwd();
+const { countCombinations } = require(`${basePath}/src/rules.js`);
+
+const QUOTA_MODES = ["count", "percent"];
+
+/**
+ * Splits `_total` editions by percentages with the largest remainder method,
+ * so the counts always add up to the total.
+ */
+const percentagesToCounts = (_elements, _total) => {
+  const exact = _elements.map((element) => (element.weight / 100) * _total);
+  const counts = exact.map((value) => Math.floor(value));
+  let left = _total - counts.reduce((sum, count) => sum + count, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (left > 0) {
+        counts[index]++;
+        left--;
+      }
+    });
+  return counts;
+};
+
+/**
+ * Edmonds-Karp max flow over a capacity matrix.
+ *
+ * @returns {{total: Number, flow: Array}} flow[from][to] is what the edge carries
+ */
+const maxFlow = (_capacity, _source, _sink) => {
+  const residual = _capacity.map((row) => [...row]);
+  let total = 0;
+  for (;;) {
+    const parents = residual.map(() => -1);
+    parents[_source] = _source;
+    const queue = [_source];
+    while (queue.length > 0 && parents[_sink] == -1) {
+      const node = queue.shift();
+      residual[node].forEach((capacity, next) => {
+        if (capacity > 0 && parents[next] == -1) {
+          parents[next] = node;
+          queue.push(next);
+        }
+      });
+    }
+    if (parents[_sink] == -1) {
+      break;
+    }
+    let bottleneck = Infinity;
+    for (let node = _sink; node != _source; node = parents[node]) {
+      bottleneck = Math.min(bottleneck, residual[parents[node]][node]);
+    }
+    for (let node = _sink; node != _source; node = parents[node]) {
+      residual[parents[node]][node] -= bottleneck;
+      residual[node][parents[node]] += bottleneck;
+    }
+    total += bottleneck;
+  }
+  const flow = _capacity.map((row, from) =>
+    row.map((capacity, to) => Math.max(capacity - residual[from][to], 0))
+  );
+  return { total, flow };
+};
+
+/**
+ * Checks that two quota layers can meet their quotas together: every edition
+ * pairs an element of one layer with an element of the other, and a pair can
+ * only be used as often as the rules leave unique combinations for it. The
+ * quotas are met when a flow from the elements of the first layer to the
+ * elements of the second carries all editions.
+ *
+ * @returns {String|null} What is wrong, or null when the quotas fit
+ */
+const checkQuotaPair = (
+  _layers,
+  _rules,
+  _quotas,
+  _first,
+  _second,
+  _editions
+) => {
+  const elementsOf = (_layerIndex) =>
+    _layers[_layerIndex].elements.filter(
+      (element) => _quotas[_layerIndex][element.id] > 0
+    );
+  const firstElements = elementsOf(_first);
+  const secondElements = elementsOf(_second);
+  // nodes: source, the elements of both layers, sink
+  const source = 0;
+  const sink = firstElements.length + secondElements.length + 1;
+  const capacity = Array.from({ length: sink + 1 }, () =>
+    new Array(sink + 1).fill(0)
+  );
+  firstElements.forEach((first, a) => {
+    capacity[source][a + 1] = _quotas[_first][first.id];
+    secondElements.forEach((second, b) => {
+      const fixedLayers = _layers.map((layer, index) =>
+        index == _first
+          ? { ...layer, elements: [first] }
+          : index == _second
+          ? { ...layer, elements: [second] }
+          : layer
+      );
+      capacity[a + 1][firstElements.length + b + 1] = countCombinations(
+        fixedLayers,
+        _rules,
+        Math.min(_quotas[_first][first.id], _quotas[_second][second.id])
+      );
+    });
+  });
+  secondElements.forEach((second, b) => {
+    capacity[firstElements.length + b + 1][sink] = _quotas[_second][second.id];
+  });
+  const { total, flow } = maxFlow(capacity, source, sink);
+  if (total >= _editions) {
+    return null;
+  }
+  const short = firstElements
+    .map((element, a) => ({
+      element,
+      needed: _quotas[_first][element.id],
+      got: flow[source][a + 1],
+    }))
+    .find(({ needed, got }) => got < needed);
+  return `Layers "${_layers[_first].name}" and "${_layers[_second].name}": the rules only let ${total} of ${_editions} editions meet both quotas, eg. "${short.element.name}" gets ${short.got} of its ${short.needed} editions`;
+};
+
+/**
+ * Builds the exact number of editions left for every element of the layers in
+ * quota mode and checks up front that the quotas can be met: they have to add
+ * up to the editions of the layer configuration, every element needs enough
+ * unique combinations to appear as often as its quota says and every two quota
+ * layers have to fit together under the rules, see checkQuotaPair.
+ *
+ * @param {Array} _layers Layers built by layersSetup
+ * @param {Array} _rules Compiled rules, see rules.js
+ * @param {Number} _editions Editions of this layer configuration
+ * @returns {{quotas: Array, errors: Array}} Per layer index an object of
+ * element id => editions left, or null for layers using random weights
+ */
+const checkQuotas = (_layers, _rules, _editions) => {
+  const errors = [];
+  const quotas = _layers.map((layer) => {
+    if (layer.quota == undefined) {
+      return null;
+    }
+    if (!QUOTA_MODES.includes(layer.quota)) {
+      errors.push(
+        `Layer "${layer.name}": quota must be one of ${QUOTA_MODES.join(
+          ", "
+        )}, got "${layer.quota}"`
+      );
+      return null;
+    }
+    if (layer.presence != undefined) {
+      errors.push(
+        `Layer "${layer.name}": quota can not be combined with presence, add the missing editions as an element instead`
+      );
+      return null;
+    }
+    const total = layer.elements.reduce(
+      (sum, element) => sum + element.weight,
+      0
+    );
+    // allow for rounding errors of decimal percentages
+    if (layer.quota == "percent" && Math.abs(total - 100) > 1e-9) {
+      errors.push(
+        `Layer "${layer.name}": quota percentages add up to ${total}% instead of 100%`
+      );
+      return null;
+    }
+    if (
+      layer.quota == "count" &&
+      !layer.elements.every((element) => Number.isInteger(element.weight))
+    ) {
+      errors.push(
+        `Layer "${layer.name}": quota counts must be whole numbers of editions`
+      );
+      return null;
+    }
+    if (layer.quota == "count" && total != _editions) {
+      errors.push(
+        `Layer "${layer.name}": quota counts add up to ${total} but the layer configuration creates ${_editions} editions`
+      );
+      return null;
+    }
+    const counts =
+      layer.quota == "percent"
+        ? percentagesToCounts(layer.elements, _editions)
+        : layer.elements.map((element) => element.weight);
+    return layer.elements.reduce(
+      (quota, element, index) => ({ ...quota, [element.id]: counts[index] }),
+      {}
+    );
+  });
+
+  quotas.forEach((quota, layerIndex) => {
+    if (quota == null) {
+      return;
+    }
+    _layers[layerIndex].elements.forEach((element) => {
+      const needed = quota[element.id];
+      if (needed == 0) {
+        return;
+      }
+      const fixedLayers = _layers.map((layer, index) =>
+        index == layerIndex ? { ...layer, elements: [element] } : layer
+      );
+      const available = countCombinations(fixedLayers, _rules, needed);
+      if (available < needed) {
+        errors.push(
+          `Layer "${_layers[layerIndex].name}": element "${element.name}" needs ${needed} editions but only ${available} unique combinations include it`
+        );
+      }
+    });
+  });
+
+  if (errors.length == 0) {
+    const quotaLayers = quotas
+      .map((quota, index) => (quota ? index : null))
+      .filter((index) => index != null);
+    quotaLayers.forEach((first, position) =>
+      quotaLayers.slice(position + 1).forEach((second) => {
+        const error = checkQuotaPair(
+          _layers,
+          _rules,
+          quotas,
+          first,
+          second,
+          _editions
+        );
+        if (error) {
+          errors.push(error);
+        }
+      })
+    );
+  }
+
+  return { quotas, errors };
+};
+
+const getQuotaWeight = (_quotas, _layerIndex, _element) => {
+  const quota = _quotas?.[_layerIndex];
+  return quota ? quota[_element.id] : _element.weight;
+};
+
+const consumeQuotas = (_quotas, _layers) => {
+  _layers.forEach((layer, layerIndex) => {
+    const quota = _quotas?.[layerIndex];
+    if (quota) {
+      quota[layer.selectedElement.id]--;
+    }
+  });
+};
+
+module.exports = { checkQuotas, getQuotaWeight, consumeQuotas };
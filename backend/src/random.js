@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+
+/**
+ * Hashes any seed string into a 32 bit integer to initialize the generator.
+ *
+ * @param {String} _seed Seed as set in config.js or on the command line
+ * @returns {Number} 32 bit unsigned integer
+ */
+const hashSeed = (_seed) => {
+  let hash = 1779033703 ^ _seed.length;
+  for (let i = 0; i < _seed.length; i++) {
+    hash = Math.imul(hash ^ _seed.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+/**
+ * Creates a seeded replacement for Math.random (mulberry32). The same seed
+ * always yields the same sequence of numbers. `getState` returns the internal
+ * state, pass it back as `_state` to continue the sequence where it stopped.
+ *
+ * @param {String} _seed Any string
+ * @param {Number} _state State saved from a previous generator
+ * @returns {Function} Returns a number between 0 (inclusive) and 1 (exclusive)
+ */
+const createRandom = (_seed, _state) => {
+  let state = _state ?? hashSeed(String(_seed));
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  return random;
+};
+
+const createSeed = () => crypto.randomBytes(8).toString("hex");
+
+module.exports = { createRandom, createSeed };
@@ -0,0 +1,264 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const { createCanvas } = require(`${basePath}/node_modules/canvas`);
+const { buildDir } = require(`${basePath}/src/paths.js`);
+const {
+  format,
+  debugLogs,
+  text,
+  gif,
+  visualDuplicates,
+} = require(`${basePath}/src/config.js`);
+const HashlipsGiffer = require(`${basePath}/modules/HashlipsGiffer.js`);
+const { getOutputs, encodeOutput } = require(`${basePath}/src/outputs.js`);
+const { loadAsset, getImageCacheStats } = require(`${basePath}/src/assets.js`);
+const { getVisualHash } = require(`${basePath}/src/visualHash.js`);
+const { registerFonts, drawText } = require(`${basePath}/src/textOverlay.js`);
+const { logDebug } = require(`${basePath}/src/log.js`);
+
+/**
+ * Creates a renderer with its own canvas. The main thread uses one when
+ * rendering serially and every render worker creates its own.
+ *
+ * A render job holds everything decided by the main thread, so rendering never
+ * makes a random choice:
+ * - edition: number used for the output file names
+ * - layers: layers from constructLayerToDna (name, blend, opacity,
+ *   selectedElement and placement), text layers with their filled in `text`
+ * - background: fill color or null when no background is generated
+ * - animated: true when the layers have animated elements, the gif is then the
+ *   frame by frame composite of all layers instead of one frame per layer
+ *
+ * renderEdition resolves with the visual hash of the still image when
+ * `visualDuplicates.check` is on.
+ */
+const createRenderer = () => {
+  registerFonts();
+  const canvas = createCanvas(format.width, format.height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = format.smoothing;
+  const outputs = getOutputs();
+  let hashlipsGiffer = null;
+
+  // a failed load rejects, so the edition fails instead of hanging
+  const loadLayerImg = async (_layer) => {
+    if (_layer.text != undefined) {
+      return { layer: _layer, loadedImage: null };
+    }
+    // only elements without a placement are stretched over the canvas
+    const fill = _layer.placement == null;
+    const animation = _layer.selectedElement.animation;
+    if (animation?.paths) {
+      const frames = await Promise.all(
+        animation.paths.map((path) => loadAsset(path, fill))
+      );
+      return { layer: _layer, loadedImage: frames[0], frames };
+    }
+    const image = await loadAsset(`${_layer.selectedElement.path}`, fill);
+    return { layer: _layer, loadedImage: image };
+  };
+
+  /**
+   * Returns the image and source rectangle of a frame. Static elements always
+   * return their only image and animated ones loop over their own frames.
+   */
+  const getFrame = (_renderObject, _frame) => {
+    const animation = _renderObject.layer.selectedElement.animation;
+    const image = _renderObject.loadedImage;
+    if (animation == undefined) {
+      return { image, sx: 0, sy: 0, sw: image.width, sh: image.height };
+    }
+    const frame = _frame % animation.frames;
+    if (_renderObject.frames) {
+      const frameImage = _renderObject.frames[frame];
+      return {
+        image: frameImage,
+        sx: 0,
+        sy: 0,
+        sw: frameImage.width,
+        sh: frameImage.height,
+      };
+    }
+    const rows = Math.ceil(animation.frames / animation.columns);
+    const sw = image.width / animation.columns;
+    const sh = image.height / rows;
+    return {
+      image,
+      sx: (frame % animation.columns) * sw,
+      sy: Math.floor(frame / animation.columns) * sh,
+      sw,
+      sh,
+    };
+  };
+
+  const greatestCommonDivisor = (a, b) =>
+    b == 0 ? a : greatestCommonDivisor(b, a % b);
+
+  /**
+   * Frames needed so every animated trait loops seamlessly (least common
+   * multiple of their frame counts). When that exceeds `gif.maxFrames` the
+   * longest trait sets the length and shorter ones loop within it.
+   */
+  const getFrameCount = (_renderObjectArray) => {
+    const counts = _renderObjectArray
+      .map((renderObject) => renderObject.layer.selectedElement.animation)
+      .filter((animation) => animation != undefined)
+      .map((animation) => animation.frames);
+    if (counts.length == 0) {
+      return 1;
+    }
+    const lcm = counts.reduce(
+      (result, count) => (result * count) / greatestCommonDivisor(result, count)
+    );
+    return lcm <= (gif.maxFrames ?? 120) ? lcm : Math.max(...counts);
+  };
+
+  const saveImage = async (_editionCount) => {
+    for (const output of outputs) {
+      fs.writeFileSync(
+        `${buildDir}/${output.folder}/${_editionCount}.${output.extension}`,
+        await encodeOutput(canvas, output)
+      );
+    }
+  };
+
+  const drawBackground = (_color) => {
+    ctx.fillStyle = _color;
+    ctx.fillRect(0, 0, format.width, format.height);
+  };
+
+  const addText = (_sig, x, y, size) => {
+    ctx.fillStyle = text.color;
+    ctx.font = `${text.weight} ${size}pt ${text.family}`;
+    ctx.textBaseline = text.baseline;
+    ctx.textAlign = text.align;
+    ctx.fillText(_sig, x, y);
+  };
+
+  // Draws an element at its own size, scaled and rotated around its anchor
+  const drawPlacedElement = (_source, _placement) => {
+    const { x, y, scale, rotation, anchor } = _placement;
+    const { image, sx, sy, sw, sh } = _source;
+    const width = sw * scale;
+    const height = sh * scale;
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.drawImage(
+      image,
+      sx,
+      sy,
+      sw,
+      sh,
+      -anchor.x * width,
+      -anchor.y * height,
+      width,
+      height
+    );
+    ctx.restore();
+  };
+
+  const drawFullElement = (_source) => {
+    const { image, sx, sy, sw, sh } = _source;
+    ctx.drawImage(image, sx, sy, sw, sh, 0, 0, format.width, format.height);
+  };
+
+  const drawElement = (_renderObject, _index, _frame = 0) => {
+    ctx.globalAlpha = _renderObject.layer.opacity;
+    ctx.globalCompositeOperation = _renderObject.layer.blend;
+    text.only
+      ? addText(
+          `${_renderObject.layer.name}${text.spacer}${_renderObject.layer.selectedElement.name}`,
+          text.xGap,
+          text.yGap * (_index + 1),
+          text.size
+        )
+      : _renderObject.layer.text != undefined
+      ? drawText(ctx, _renderObject.layer.text)
+      : _renderObject.layer.placement
+      ? drawPlacedElement(
+          getFrame(_renderObject, _frame),
+          _renderObject.layer.placement
+        )
+      : drawFullElement(getFrame(_renderObject, _frame));
+  };
+
+  const drawFrame = (_job, _renderObjectArray, _frame) => {
+    ctx.clearRect(0, 0, format.width, format.height);
+    if (_job.background != null) {
+      drawBackground(_job.background);
+    }
+    _renderObjectArray.forEach((renderObject, index) => {
+      drawElement(renderObject, index, _frame);
+    });
+  };
+
+  const saveAnimation = (_job, _renderObjectArray) => {
+    hashlipsGiffer = new HashlipsGiffer(
+      canvas,
+      ctx,
+      `${buildDir}/gifs/${_job.edition}.gif`,
+      gif.repeat,
+      gif.quality,
+      gif.delay
+    );
+    hashlipsGiffer.start();
+    const frameCount = getFrameCount(_renderObjectArray);
+    for (let frame = 0; frame < frameCount; frame++) {
+      drawFrame(_job, _renderObjectArray, frame);
+      hashlipsGiffer.add();
+    }
+    hashlipsGiffer.stop();
+  };
+
+  const getResult = () =>
+    visualDuplicates?.check ? { hash: getVisualHash(canvas) } : {};
+
+  const renderEdition = async (_job) => {
+    const renderObjectArray = await Promise.all(
+      _job.layers.map((layer) => loadLayerImg(layer))
+    );
+    debugLogs ? logDebug(`Image cache: ${getImageCacheStats()}`) : null;
+    debugLogs ? logDebug("Clearing canvas") : null;
+    if (_job.animated) {
+      // the still images show the first frame
+      drawFrame(_job, renderObjectArray, 0);
+      await saveImage(_job.edition);
+      const result = getResult();
+      if (gif.export) {
+        saveAnimation(_job, renderObjectArray);
+      }
+      return result;
+    }
+    ctx.clearRect(0, 0, format.width, format.height);
+    if (gif.export) {
+      hashlipsGiffer = new HashlipsGiffer(
+        canvas,
+        ctx,
+        `${buildDir}/gifs/${_job.edition}.gif`,
+        gif.repeat,
+        gif.quality,
+        gif.delay
+      );
+      hashlipsGiffer.start();
+    }
+    if (_job.background != null) {
+      drawBackground(_job.background);
+    }
+    renderObjectArray.forEach((renderObject, index) => {
+      drawElement(renderObject, index);
+      if (gif.export) {
+        hashlipsGiffer.add();
+      }
+    });
+    if (gif.export) {
+      hashlipsGiffer.stop();
+    }
+    await saveImage(_job.edition);
+    return getResult();
+  };
+
+  return { canvas, ctx, renderEdition };
+};
+
+module.exports = { createRenderer };
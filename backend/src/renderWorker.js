@@ -0,0 +1,14 @@
+const basePath = process.cwd();
+const { parentPort } = require("worker_threads");
+const { createRenderer } = require(`${basePath}/src/render.js`);
+
+const renderer = createRenderer();
+
+parentPort.on("message", async (_job) => {
+  try {
+    const result = await renderer.renderEdition(_job);
+    parentPort.postMessage({ edition: _job.edition, ...result });
+  } catch (error) {
+    parentPort.postMessage({ edition: _job.edition, error: `${error}` });
+  }
+});
@@ -0,0 +1,100 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const crypto = require("crypto");
+const { buildDir } = require(`${basePath}/src/paths.js`);
+const { getOutputs } = require(`${basePath}/src/outputs.js`);
+
+const reportFile = `${buildDir}/report.json`;
+
+/**
+ * sha256 of every file in the given build folders, eg. to check an upload or
+ * compare two runs. Keys are paths relative to the build folder.
+ */
+const getChecksums = (_folders) => {
+  const checksums = {};
+  _folders
+    .filter((folder) => fs.existsSync(`${buildDir}/${folder}`))
+    .forEach((folder) => {
+      fs.readdirSync(`${buildDir}/${folder}`)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .filter((file) => fs.statSync(`${buildDir}/${folder}/${file}`).isFile())
+        .forEach((file) => {
+          checksums[`${folder}/${file}`] = crypto
+            .createHash("sha256")
+            .update(fs.readFileSync(`${buildDir}/${folder}/${file}`))
+            .digest("hex");
+        });
+    });
+  return checksums;
+};
+
+/**
+ * Number of editions per trait value, from the metadata of any network.
+ * Numeric stats like `traitStats` are left out.
+ */
+const getTraitCounts = (_metadataList) => {
+  const counts = {};
+  _metadataList.forEach((metadata) =>
+    (metadata.attributes ?? [])
+      .filter((attribute) => typeof attribute.value != "number")
+      .forEach((attribute) => {
+        const type = attribute.trait_type ?? attribute.name;
+        counts[type] = counts[type] ?? {};
+        counts[type][attribute.value] =
+          (counts[type][attribute.value] ?? 0) + 1;
+      })
+  );
+  return counts;
+};
+
+/**
+ * Writes build/report.json: what the generation found and wrote, with the
+ * trait counts and checksums of the output files added to `_summary`.
+ *
+ * @param {Object} _summary Seed, timing, collisions, ... of the run
+ * @param {Array} _metadataList Metadata of every edition
+ * @returns {String} Path of the report
+ */
+const writeReport = (_summary, _metadataList) => {
+  const report = {
+    ..._summary,
+    traits: getTraitCounts(_metadataList),
+    files: getChecksums([
+      "json",
+      ...getOutputs().map((output) => output.folder),
+      "gifs",
+      "assets",
+    ]),
+  };
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  return reportFile;
+};
+
+/**
+ * Adds a re-roll to build/report.json and updates its trait counts and
+ * checksums. Nothing happens without a report.
+ *
+ * @param {Object} _reroll {seed, editions} of the re-roll
+ * @param {Array} _metadataList Metadata of every edition
+ */
+const addRerollToReport = (_reroll, _metadataList) => {
+  if (!fs.existsSync(reportFile)) {
+    return;
+  }
+  const { traits, files, ...summary } = JSON.parse(fs.readFileSync(reportFile));
+  writeReport(
+    {
+      ...summary,
+      rerolls: [
+        ...(summary.rerolls ?? []),
+        { ..._reroll, date: new Date().toISOString() },
+      ],
+    },
+    _metadataList
+  );
+};
+
+module.exports = {
+  writeReport,
+  addRerollToReport,
+};
@@ -0,0 +1,333 @@
+const RULE_TYPES = ["excludes", "requires"];
+
+const toList = (_value) =>
+  Array.isArray(_value) ? _value : _value != undefined ? [_value] : [];
+
+const findLayerIndex = (_layers, _name) =>
+  _layers.findIndex((layer) => layer.name == _name || layer.folder == _name);
+
+const describeRule = (_rule) => {
+  const type = RULE_TYPES.find((t) => _rule[t] != undefined);
+  const source = toList(_rule.element ?? _rule.elements).join("/");
+  const target = toList(_rule[type]?.element ?? _rule[type]?.elements).join(
+    "/"
+  );
+  return `${_rule.layer}=${source} ${type} ${_rule[type]?.layer}=${target}`;
+};
+
+/**
+ * Resolves the `rules` of a layer configuration against its layers so the
+ * generator can look elements up by id instead of by name.
+ *
+ * @param {Array} _rules Rules as written in config.js
+ * @param {Array} _layers Layers built by layersSetup
+ * @returns {{rules: Array, errors: Array}} Compiled rules and config problems
+ */
+const compileRules = (_rules = [], _layers = []) => {
+  const errors = [];
+  const resolve = (_layerName, _elementNames, _description) => {
+    const layerIndex = findLayerIndex(_layers, _layerName);
+    if (layerIndex == -1) {
+      errors.push(`${_description}: unknown layer "${_layerName}"`);
+      return null;
+    }
+    const ids = new Set();
+    toList(_elementNames).forEach((name) => {
+      const element = _layers[layerIndex].elements.find((e) => e.name == name);
+      element
+        ? ids.add(element.id)
+        : errors.push(
+            `${_description}: unknown element "${name}" in layer "${_layerName}"`
+          );
+    });
+    return { layerIndex, ids };
+  };
+
+  const rules = _rules
+    .map((rule, index) => {
+      const type = RULE_TYPES.find((t) => rule[t] != undefined);
+      const description = `Rule ${index} (${describeRule(rule)})`;
+      if (!type) {
+        errors.push(`Rule ${index}: needs an "excludes" or "requires" target`);
+        return null;
+      }
+      const source = resolve(
+        rule.layer,
+        rule.element ?? rule.elements,
+        description
+      );
+      const target = resolve(
+        rule[type].layer,
+        rule[type].element ?? rule[type].elements,
+        description
+      );
+      if (!source || !target) {
+        return null;
+      }
+      if (source.layerIndex == target.layerIndex) {
+        errors.push(`${description}: source and target are the same layer`);
+        return null;
+      }
+      return { index, type, source, target, description };
+    })
+    .filter((rule) => rule != null);
+
+  return { rules, errors };
+};
+
+/**
+ * Turns linked layers into rules: an element from the `gold` variant folder of
+ * a layer linked to Body can only be picked together with the Body element
+ * named `gold`.
+ *
+ * @param {Array} _layers Layers built by layersSetup
+ * @returns {{rules: Array, errors: Array, warnings: Array}}
+ */
+const compileLinks = (_layers = []) => {
+  const rules = [];
+  const errors = [];
+  const warnings = [];
+  _layers.forEach((layer, layerIndex) => {
+    if (layer.linkedTo == undefined) {
+      return;
+    }
+    const parentIndex = findLayerIndex(_layers, layer.linkedTo);
+    if (parentIndex == -1 || parentIndex == layerIndex) {
+      errors.push(
+        `Layer "${layer.name}" is linked to unknown layer "${layer.linkedTo}"`
+      );
+      return;
+    }
+    const parentLayer = _layers[parentIndex];
+    parentLayer.elements.forEach((parent) => {
+      const ids = new Set(
+        layer.elements
+          .filter((element) => element.variant == parent.name)
+          .map((element) => element.id)
+      );
+      if (ids.size == 0) {
+        errors.push(
+          `Layer "${layer.name}" has no "${parent.name}" folder for element "${parent.name}" of layer "${parentLayer.name}"`
+        );
+      }
+      rules.push({
+        type: "requires",
+        source: { layerIndex: parentIndex, ids: new Set([parent.id]) },
+        target: { layerIndex, ids },
+        description: `Link (${parentLayer.name}=${parent.name} => ${layer.name}/${parent.name})`,
+      });
+    });
+    new Set(layer.elements.map((element) => element.variant)).forEach(
+      (variant) => {
+        if (!parentLayer.elements.some((parent) => parent.name == variant)) {
+          warnings.push(
+            `Folder "${layer.name}/${variant}" does not match any element of layer "${parentLayer.name}" and is never used`
+          );
+        }
+      }
+    );
+  });
+  return { rules, errors, warnings };
+};
+
+/**
+ * Checks a single pair of picks against every rule that links their layers.
+ */
+const isPairAllowed = (_rules, _layerA, _elementA, _layerB, _elementB) => {
+  return _rules.every((rule) => {
+    let sourceId, targetId;
+    if (
+      rule.source.layerIndex == _layerA &&
+      rule.target.layerIndex == _layerB
+    ) {
+      [sourceId, targetId] = [_elementA.id, _elementB.id];
+    } else if (
+      rule.source.layerIndex == _layerB &&
+      rule.target.layerIndex == _layerA
+    ) {
+      [sourceId, targetId] = [_elementB.id, _elementA.id];
+    } else {
+      return true;
+    }
+    if (!rule.source.ids.has(sourceId)) {
+      return true;
+    }
+    return rule.type == "excludes"
+      ? !rule.target.ids.has(targetId)
+      : rule.target.ids.has(targetId);
+  });
+};
+
+const isCompatible = (_rules, _layerIndex, _element, _picked) => {
+  for (const [pickedIndex, pickedElement] of _picked) {
+    if (
+      !isPairAllowed(_rules, _layerIndex, _element, pickedIndex, pickedElement)
+    ) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Whether every layer of `_indexes` can still get an element that fits the
+ * picked elements and the ones chosen for the layers before it.
+ */
+const canComplete = (_layers, _rules, _indexes, _picked) => {
+  if (_indexes.length == 0) {
+    return true;
+  }
+  const [layerIndex, ...rest] = _indexes;
+  return _layers[layerIndex].elements.some(
+    (element) =>
+      isCompatible(_rules, layerIndex, element, _picked) &&
+      canComplete(
+        _layers,
+        _rules,
+        rest,
+        new Map(_picked).set(layerIndex, element)
+      )
+  );
+};
+
+/**
+ * Returns the elements of a layer that can still be picked given the elements
+ * already chosen. A candidate is also dropped when no element of the layers
+ * that are not picked yet could complete the DNA with it, so the rules alone
+ * never leave createDna without a pick.
+ *
+ * @param {Array} _layers Layers built by layersSetup
+ * @param {Array} _rules Compiled rules
+ * @param {Number} _layerIndex Layer being picked
+ * @param {Map} _picked Layer index => element already chosen
+ * @returns {Array} Allowed elements
+ */
+const getAllowedElements = (_layers, _rules, _layerIndex, _picked) => {
+  const layer = _layers[_layerIndex];
+  if (_rules.length == 0) {
+    return layer.elements;
+  }
+  return layer.elements.filter((element) => {
+    if (!isCompatible(_rules, _layerIndex, element, _picked)) {
+      return false;
+    }
+    const picked = new Map(_picked).set(_layerIndex, element);
+    return canComplete(
+      _layers,
+      _rules,
+      _layers
+        .map((futureLayer, index) => index)
+        .filter((index) => !picked.has(index)),
+      picked
+    );
+  });
+};
+
+/**
+ * Counts how many distinct DNA combinations satisfy the rules. Only layers that
+ * take part in the uniqueness check are counted, bypassDNA layers just need one
+ * compatible element. Counting stops at `_limit`.
+ */
+const countCombinations = (_layers, _rules, _limit = Infinity) => {
+  const dnaLayers = _layers
+    .map((layer, index) => index)
+    .filter((index) => !_layers[index].bypassDNA);
+  const bypassLayers = _layers
+    .map((layer, index) => index)
+    .filter((index) => _layers[index].bypassDNA);
+
+  const count = (_position, _picked) => {
+    if (_position == dnaLayers.length) {
+      return canComplete(_layers, _rules, bypassLayers, _picked) ? 1 : 0;
+    }
+    const layerIndex = dnaLayers[_position];
+    let total = 0;
+    for (const element of _layers[layerIndex].elements) {
+      if (total >= _limit) {
+        break;
+      }
+      if (isCompatible(_rules, layerIndex, element, _picked)) {
+        total += count(
+          _position + 1,
+          new Map(_picked).set(layerIndex, element)
+        );
+      }
+    }
+    return total;
+  };
+
+  return Math.min(count(0, new Map()), _limit);
+};
+
+/**
+ * Looks for problems that would stop a layer configuration from reaching its
+ * edition size: rules pointing at unknown layers or elements, broken linked
+ * layers, elements that can never be picked and a rule set that leaves too few
+ * combinations. The returned rules include the ones created for linked layers.
+ *
+ * @param {Array} _layers Layers built by layersSetup
+ * @param {Array} _rules Rules as written in config.js
+ * @param {Number} _editionsNeeded Editions this configuration has to produce
+ * @returns {{rules: Array, errors: Array, warnings: Array}}
+ */
+const checkRules = (_layers, _rules, _editionsNeeded) => {
+  const links = compileLinks(_layers);
+  const compiled = compileRules(_rules, _layers);
+  const rules = [...links.rules, ...compiled.rules];
+  const errors = [...links.errors, ...compiled.errors];
+  const warnings = [...links.warnings];
+  if (errors.length > 0 || rules.length == 0) {
+    return { rules, errors, warnings };
+  }
+
+  _layers.forEach((layer, layerIndex) => {
+    layer.elements.forEach((element) => {
+      const picked = new Map([[layerIndex, element]]);
+      const blocked = _layers.some(
+        (other, otherIndex) =>
+          otherIndex != layerIndex &&
+          !other.elements.some((otherElement) =>
+            isCompatible(rules, otherIndex, otherElement, picked)
+          )
+      );
+      if (blocked) {
+        warnings.push(
+          `Element "${element.name}" in layer "${layer.name}" can never be picked with the current rules`
+        );
+      }
+    });
+  });
+
+  const capacity = countCombinations(_layers, rules, _editionsNeeded);
+  if (
+    capacity < _editionsNeeded &&
+    countCombinations(_layers, links.rules, _editionsNeeded) >= _editionsNeeded
+  ) {
+    const blocking = compiled.rules.filter(
+      (rule) =>
+        countCombinations(
+          _layers,
+          rules.filter((r) => r != rule),
+          _editionsNeeded
+        ) >= _editionsNeeded
+    );
+    errors.push(
+      `Only ${capacity} unique combinations satisfy the rules but ${_editionsNeeded} editions are needed.` +
+        (blocking.length > 0
+          ? ` Removing any one of these rules would make it reachable: ${blocking
+              .map((rule) => rule.description)
+              .join(", ")}`
+          : ` No single rule is responsible, relax several of them or add elements.`)
+    );
+  }
+
+  return { rules, errors, warnings };
+};
+
+module.exports = {
+  compileRules,
+  compileLinks,
+  getAllowedElements,
+  countCombinations,
+  checkRules,
+};
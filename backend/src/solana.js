@@ -0,0 +1,254 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const { buildDir } = require(`${basePath}/src/paths.js`);
+const assetsDir = `${buildDir}/assets`;
+const {
+  description,
+  solanaMetadata,
+  gif,
+} = require(`${basePath}/src/config.js`);
+const { getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+const { logEvent } = require(`${basePath}/src/log.js`);
+
+// limits of the Metaplex token metadata
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+// Candy Machine takes one of the five creator slots for itself
+const MAX_CREATORS = 4;
+
+const ASSET_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+};
+
+/**
+ * Checks the creators of solanaMetadata: Candy Machine needs one to four of
+ * them with shares adding up to 100.
+ *
+ * @param {Array} _creators Creators as {address, share}
+ * @returns {Array} Problems found as messages
+ */
+const checkCreators = (_creators) => {
+  const errors = [];
+  if (!Array.isArray(_creators) || _creators.length == 0) {
+    return ["needs at least one creator"];
+  }
+  if (_creators.length > MAX_CREATORS) {
+    errors.push(
+      `has ${_creators.length} creators, Candy Machine allows at most ${MAX_CREATORS}`
+    );
+  }
+  const total = _creators.reduce((sum, creator) => sum + creator.share, 0);
+  if (total != 100) {
+    errors.push(`shares add up to ${total} instead of 100`);
+  }
+  return errors;
+};
+
+/**
+ * Metadata of the collection NFT. `solanaMetadata.collection.image` is an image
+ * file relative to the backend folder, without it the first edition is used.
+ */
+const getCollectionAsset = (_metadataList) => {
+  const collection = solanaMetadata.collection ?? {};
+  const source = collection.image
+    ? `${basePath}/${collection.image}`
+    : `${assetsDir}/${
+        _metadataList.find((metadata) => metadata.edition == 0).image
+      }`;
+  const image = `collection${path.extname(source).toLowerCase()}`;
+  return {
+    source,
+    metadata: {
+      name: collection.name ?? solanaMetadata.symbol,
+      symbol: solanaMetadata.symbol,
+      description: collection.description ?? description,
+      seller_fee_basis_points: solanaMetadata.seller_fee_basis_points,
+      image,
+      external_url: solanaMetadata.external_url,
+      properties: {
+        files: [{ uri: image, type: ASSET_TYPES[path.extname(image)] }],
+        category: "image",
+        creators: solanaMetadata.creators,
+      },
+    },
+  };
+};
+
+/**
+ * Writes build/assets the way Candy Machine expects it: the primary image and
+ * metadata of every edition as N.png + N.json, the gif as N.gif when
+ * `gif.export` is on, and collection.png + collection.json for the collection
+ * NFT.
+ *
+ * @param {Array} _metadataList Solana metadata of every edition
+ */
+const exportAssets = (_metadataList) => {
+  const primaryOutput = getPrimaryOutput();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+  fs.mkdirSync(assetsDir, { recursive: true });
+  _metadataList.forEach((metadata) => {
+    fs.copyFileSync(
+      `${buildDir}/${primaryOutput.folder}/${metadata.edition}.${primaryOutput.extension}`,
+      `${assetsDir}/${metadata.image}`
+    );
+    if (gif.export) {
+      fs.copyFileSync(
+        `${buildDir}/gifs/${metadata.edition}.gif`,
+        `${assetsDir}/${metadata.animation_url}`
+      );
+    }
+    fs.writeFileSync(
+      `${assetsDir}/${metadata.edition}.json`,
+      JSON.stringify(metadata, null, 2)
+    );
+  });
+  const collection = getCollectionAsset(_metadataList);
+  fs.copyFileSync(
+    collection.source,
+    `${assetsDir}/${collection.metadata.image}`
+  );
+  fs.writeFileSync(
+    `${assetsDir}/collection.json`,
+    JSON.stringify(collection.metadata, null, 2)
+  );
+  logEvent(
+    "solana_assets",
+    { count: _metadataList.length, folder: assetsDir },
+    `Exported ${_metadataList.length} assets for Candy Machine to ${assetsDir}`
+  );
+};
+
+const sameCreators = (_a, _b) =>
+  Array.isArray(_a) &&
+  _a.length == _b.length &&
+  _a.every(
+    (creator, index) =>
+      creator.address == _b[index].address && creator.share == _b[index].share
+  );
+
+// Checks one N.json or collection.json and the files it points to
+const checkAsset = (_errors, _name, _files) => {
+  const error = (_message) => _errors.push({ key: _name, message: _message });
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(`${assetsDir}/${_name}.json`));
+  } catch (e) {
+    error(`${_name}.json is missing or not valid JSON`);
+    return;
+  }
+  const images = _files.filter(
+    (file) =>
+      path.parse(file).name == _name &&
+      path.extname(file) != ".json" &&
+      path.extname(file) != ".gif"
+  );
+  if (metadata.image == undefined || !_files.includes(metadata.image)) {
+    error(`image "${metadata.image}" is not a file in the assets folder`);
+  } else if (path.parse(metadata.image).name != _name) {
+    error(`image "${metadata.image}" does not match ${_name}.json`);
+  }
+  if (images.length > 1) {
+    error(`has more than one image: ${images.join(", ")}`);
+  }
+  if (
+    metadata.animation_url != undefined &&
+    !_files.includes(metadata.animation_url)
+  ) {
+    error(
+      `animation_url "${metadata.animation_url}" is not a file in the assets folder`
+    );
+  }
+  const uris = (metadata.properties?.files ?? []).map((file) => file.uri);
+  [metadata.image, metadata.animation_url]
+    .filter((file) => file != undefined && !uris.includes(file))
+    .forEach((file) => error(`properties.files does not list "${file}"`));
+  (metadata.properties?.files ?? [])
+    .filter((file) => file.type == undefined)
+    .forEach((file) => error(`properties.files "${file.uri}" has no type`));
+  if (typeof metadata.name != "string" || metadata.name.length == 0) {
+    error("has no name");
+  } else if (metadata.name.length > MAX_NAME_LENGTH) {
+    error(
+      `name "${metadata.name}" is longer than ${MAX_NAME_LENGTH} characters`
+    );
+  }
+  if (metadata.symbol != solanaMetadata.symbol) {
+    error(
+      `symbol "${metadata.symbol}" does not match solanaMetadata.symbol "${solanaMetadata.symbol}"`
+    );
+  }
+  if (
+    metadata.seller_fee_basis_points != solanaMetadata.seller_fee_basis_points
+  ) {
+    error(
+      `seller_fee_basis_points ${metadata.seller_fee_basis_points} does not match solanaMetadata (${solanaMetadata.seller_fee_basis_points})`
+    );
+  }
+  if (!sameCreators(metadata.properties?.creators, solanaMetadata.creators)) {
+    error("properties.creators do not match solanaMetadata.creators");
+  }
+  checkCreators(metadata.properties?.creators).forEach((message) =>
+    error(`properties.creators ${message}`)
+  );
+};
+
+/**
+ * Checks that build/assets is ready for Candy Machine: editions numbered from
+ * 0 without gaps, every N.json next to its image with matching `image` and
+ * `properties.files` URIs, the creators and royalties of solanaMetadata and
+ * names and symbols within the Metaplex limits.
+ *
+ * @returns {{count: Number, errors: Array}} Number of editions and every
+ * problem found as {key, message}
+ */
+const validateAssets = () => {
+  if (!fs.existsSync(assetsDir)) {
+    return {
+      count: 0,
+      errors: [{ key: "assets", message: `${assetsDir} does not exist` }],
+    };
+  }
+  const errors = [];
+  const files = fs
+    .readdirSync(assetsDir)
+    .filter((file) => !file.startsWith("."));
+  const names = new Set(files.map((file) => path.parse(file).name));
+  names.delete("collection");
+  const editions = [...names].filter((name) => /^\d+$/.test(name));
+  [...names]
+    .filter((name) => !/^\d+$/.test(name))
+    .forEach((name) =>
+      errors.push({
+        key: name,
+        message: "only numbered assets and the collection belong here",
+      })
+    );
+  const lastEdition = Math.max(-1, ...editions.map(Number));
+  for (let edition = 0; edition <= lastEdition; edition++) {
+    if (!names.has(`${edition}`)) {
+      errors.push({
+        key: `${edition}`,
+        message: "is missing, assets have to be numbered from 0 without gaps",
+      });
+      continue;
+    }
+    checkAsset(errors, `${edition}`, files);
+  }
+  if (files.some((file) => path.parse(file).name == "collection")) {
+    checkAsset(errors, "collection", files);
+  }
+  return { count: editions.length, errors };
+};
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_SYMBOL_LENGTH,
+  checkCreators,
+  exportAssets,
+  validateAssets,
+};
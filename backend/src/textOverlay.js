@@ -0,0 +1,168 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const { fontsDir } = require(`${basePath}/src/paths.js`);
+const { getAttribute } = require(`${basePath}/src/traits.js`);
+
+const FONT_EXTENSIONS = [".ttf", ".otf"];
+// {edition}, {name} or {<trait type>}
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+
+const TEXT_DEFAULTS = {
+  x: 0,
+  y: 0,
+  size: 48,
+  family: "sans-serif",
+  weight: "normal",
+  style: "normal",
+  color: "#ffffff",
+  stroke: null,
+  rotation: 0,
+  align: "left",
+  baseline: "alphabetic",
+  attribute: false,
+};
+
+/**
+ * A text layer has no folder, it gets one element so it is picked, ordered and
+ * drawn like any other layer.
+ */
+const getTextElements = (_layerObj) => [
+  {
+    id: 0,
+    name: _layerObj.name,
+    filename: "",
+    path: null,
+    weight: 1,
+  },
+];
+
+/**
+ * Fonts are the .ttf and .otf files of the fonts folder, the family is the file
+ * name without extension, eg. fonts/Press Start.ttf is "Press Start".
+ */
+const getFonts = () => {
+  if (!fs.existsSync(fontsDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(fontsDir)
+    .filter((file) =>
+      FONT_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    )
+    .map((file) => ({
+      path: `${fontsDir}/${file}`,
+      family: path.parse(file).name,
+    }));
+};
+
+let fontsRegistered = false;
+
+// canvas only uses fonts registered before the canvas is created
+const registerFonts = () => {
+  if (fontsRegistered) {
+    return;
+  }
+  const { registerFont } = require(`${basePath}/node_modules/canvas`);
+  getFonts().forEach((font) =>
+    registerFont(font.path, { family: font.family })
+  );
+  fontsRegistered = true;
+};
+
+const getPlaceholders = (_template) =>
+  [..._template.matchAll(PLACEHOLDER)].map((match) => match[1]);
+
+/**
+ * Fills in the text of every text layer of an edition. A template can use
+ * {edition}, {name} and the value of any other layer by its trait type, eg.
+ * "{name} wears {Hat}". Absent layers are "None".
+ *
+ * @param {Array} _layers Layers from constructLayerToDna
+ * @param {Number} _edition Edition number
+ * @param {String} _name Name of the edition
+ * @returns {Array} The layers, text layers with their `text.value`
+ */
+const setTextValues = (_layers, _edition, _name) => {
+  const values = { edition: _edition, name: _name };
+  _layers
+    .filter((layer) => layer.text == undefined)
+    .forEach((layer) => {
+      values[layer.name] = layer.selectedElement.absent
+        ? "None"
+        : getAttribute(layer).value;
+    });
+  return _layers.map((layer) =>
+    layer.text != undefined && !layer.selectedElement.absent
+      ? {
+          ...layer,
+          text: {
+            ...layer.text,
+            value: layer.text.template.replace(PLACEHOLDER, (match, key) =>
+              values[key] != undefined ? `${values[key]}` : match
+            ),
+          },
+        }
+      : layer
+  );
+};
+
+/**
+ * Draws the text of a text layer, rotated around its x, y position. The stroke
+ * is drawn under the fill so it only shows around the letters.
+ */
+const drawText = (_ctx, _text) => {
+  const text = { ...TEXT_DEFAULTS, ..._text };
+  _ctx.save();
+  _ctx.translate(text.x, text.y);
+  _ctx.rotate((text.rotation * Math.PI) / 180);
+  _ctx.font = `${text.style} ${text.weight} ${text.size}px "${text.family}"`;
+  _ctx.textAlign = text.align;
+  _ctx.textBaseline = text.baseline;
+  if (text.stroke) {
+    _ctx.strokeStyle = text.stroke.color;
+    _ctx.lineWidth = text.stroke.width;
+    _ctx.lineJoin = "round";
+    _ctx.strokeText(text.value, 0, 0);
+  }
+  _ctx.fillStyle = text.color;
+  _ctx.fillText(text.value, 0, 0);
+  _ctx.restore();
+};
+
+/**
+ * Checks the `text` option of a text layer. Placeholders have to be {edition},
+ * {name} or the trait type of another layer of the same configuration.
+ *
+ * @param {Object} _text The `text` option of the layer
+ * @param {Array} _traitTypes Trait types of the layers of the configuration
+ * @returns {Array} Problems found as messages
+ */
+const checkText = (_text, _traitTypes) => {
+  if (typeof _text.template != "string") {
+    return ['text.template has to be a string, eg. "#{edition}"'];
+  }
+  const errors = getPlaceholders(_text.template)
+    .filter(
+      (key) => key != "edition" && key != "name" && !_traitTypes.includes(key)
+    )
+    .map(
+      (key) =>
+        `text.template uses {${key}} which is not {edition}, {name} or the trait type of an image layer`
+    );
+  ["x", "y", "size", "rotation"]
+    .filter((key) => _text[key] != undefined && typeof _text[key] != "number")
+    .forEach((key) => errors.push(`text.${key} has to be a number`));
+  if (_text.stroke != undefined && typeof _text.stroke.width != "number") {
+    errors.push("text.stroke needs a color and a width in px");
+  }
+  return errors;
+};
+
+module.exports = {
+  getTextElements,
+  registerFonts,
+  setTextValues,
+  drawText,
+  checkText,
+};
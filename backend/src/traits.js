@@ -0,0 +1,140 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const { traitStats } = require(`${basePath}/src/config.js`);
+
+const DISPLAY_TYPES = ["number", "boost_percentage", "boost_number", "date"];
+
+/**
+ * A layer folder can have a _traits.json describing the attribute of the layer
+ * and of each of its elements by name. Element entries win over the layer:
+ * {
+ *   "display_type": "number",
+ *   "max_value": 10,
+ *   "elements": {
+ *     "gold": { "value": 10, "stats": { "Strength": 5 } }
+ *   }
+ * }
+ *
+ * @param {String} _path Folder of the layer, ending with a slash
+ * @returns {Object} Parsed _traits.json, or an empty object without one
+ */
+const getLayerTraits = (_path) => {
+  const file = `${_path}_traits.json`;
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : {};
+};
+
+const getElementTraits = (_layer, _element) => {
+  const { elements, ...layerTraits } = _layer.traits ?? {};
+  return { ...layerTraits, ...elements?.[_element.name] };
+};
+
+/**
+ * Builds the attribute of the element picked for a layer. Numeric display types
+ * use the element name as a number unless a `value` is set.
+ *
+ * @param {Object} _layer Layer from constructLayerToDna
+ * @returns {Object} trait_type, value and optionally display_type and max_value
+ */
+const getAttribute = (_layer) => {
+  const element = _layer.selectedElement;
+  const traits = getElementTraits(_layer, element);
+  const attribute = {
+    trait_type: _layer.name,
+    value:
+      traits.value ??
+      (traits.display_type != undefined ? Number(element.name) : element.name),
+  };
+  if (traits.display_type != undefined) {
+    attribute.display_type = traits.display_type;
+  }
+  if (traits.max_value != undefined) {
+    attribute.max_value = traits.max_value;
+  }
+  return attribute;
+};
+
+/**
+ * Adds up the `stats` of the elements picked for an edition. Every stat in
+ * `traitStats` of config.js becomes an attribute, even when no element has it.
+ *
+ * @param {Array} _layers Layers from constructLayerToDna
+ * @returns {Array} One number attribute per stat
+ */
+const getStatAttributes = (_layers) => {
+  const totals = Object.keys(traitStats ?? {}).reduce(
+    (stats, name) => ({ ...stats, [name]: 0 }),
+    {}
+  );
+  _layers.forEach((layer) => {
+    const { stats } = getElementTraits(layer, layer.selectedElement);
+    Object.entries(stats ?? {}).forEach(([name, value]) => {
+      totals[name] = (totals[name] ?? 0) + value;
+    });
+  });
+  return Object.entries(totals).map(([name, value]) => ({
+    trait_type: name,
+    value,
+    display_type: traitStats?.[name]?.display_type ?? "number",
+    ...(traitStats?.[name]?.max_value != undefined
+      ? { max_value: traitStats[name].max_value }
+      : {}),
+  }));
+};
+
+/**
+ * Checks the _traits.json of every layer before anything is generated.
+ *
+ * @param {Array} _layers Layers built by layersSetup
+ * @returns {Array} Errors, empty when all traits are valid
+ */
+const checkTraits = (_layers) => {
+  const errors = [];
+  _layers.forEach((layer) => {
+    const names = layer.elements.map((element) => element.name);
+    Object.keys(layer.traits?.elements ?? {})
+      .filter((name) => !names.includes(name))
+      .forEach((name) =>
+        errors.push(
+          `Layer "${layer.name}": _traits.json has an entry for unknown element "${name}"`
+        )
+      );
+    layer.elements.forEach((element) => {
+      if (element.absent) {
+        return;
+      }
+      const traits = getElementTraits(layer, element);
+      if (
+        traits.display_type != undefined &&
+        !DISPLAY_TYPES.includes(traits.display_type)
+      ) {
+        errors.push(
+          `Layer "${layer.name}": element "${element.name}" has display_type "${
+            traits.display_type
+          }", use one of ${DISPLAY_TYPES.join(", ")}`
+        );
+      } else if (
+        traits.display_type != undefined &&
+        isNaN(Number(traits.value ?? element.name))
+      ) {
+        errors.push(
+          `Layer "${layer.name}": element "${element.name}" needs a numeric value for display_type "${traits.display_type}"`
+        );
+      }
+      Object.entries(traits.stats ?? {})
+        .filter(([, value]) => typeof value != "number")
+        .forEach(([name]) =>
+          errors.push(
+            `Layer "${layer.name}": element "${element.name}" has a non numeric value for stat "${name}"`
+          )
+        );
+    });
+  });
+  return errors;
+};
+
+module.exports = {
+  getLayerTraits,
+  getAttribute,
+  getStatAttributes,
+  checkTraits,
+};
@@ -0,0 +1,89 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const Module = require("module");
+const { CLI_ENV } = require(`${basePath}/constants/cli.js`);
+const { profile } = require(`${basePath}/src/paths.js`);
+const { getDeployedContractAddress } = require(`${basePath}/src/contract.js`);
+
+/**
+ * src/config.js derives a few keys from others. When a data config changes the
+ * key they come from but not the derived key itself, it is derived again, as
+ * long as src/config.js did not set it to a value of its own.
+ */
+const deriveKeys = (_config, _defaults, _data) => {
+  // GENERIC_TITLE defaults to CONTRACT_NAME
+  if (
+    _data.GENERIC_TITLE == undefined &&
+    _defaults.GENERIC_TITLE == _defaults.CONTRACT_NAME
+  ) {
+    _config.GENERIC_TITLE = _config.CONTRACT_NAME;
+  }
+  // the preview thumbnails keep the ratio of the format
+  if (
+    _data.preview?.imageRatio == undefined &&
+    _defaults.preview.imageRatio ==
+      _defaults.format.height / _defaults.format.width
+  ) {
+    _config.preview = {
+      ..._config.preview,
+      imageRatio: _config.format.height / _config.format.width,
+    };
+  }
+};
+
+/**
+ * Reads a JSON or YAML config. It only needs the keys that differ from
+ * src/config.js, eg. namePrefix and layerConfigurations, the rest (like the
+ * NFTPort API key from .env) comes from src/config.js. Objects such as `format`
+ * are replaced as a whole, not merged key by key.
+ */
+const loadDataConfig = (_file, _defaults) => {
+  const content = fs.readFileSync(_file, "utf8");
+  const data = [".yaml", ".yml"].includes(path.extname(_file).toLowerCase())
+    ? require("js-yaml").load(content)
+    : JSON.parse(content);
+  const config = { ..._defaults, ...data };
+  deriveKeys(config, _defaults, data);
+  // a deployed contract wins over the config, like in src/config.js
+  config.CONTRACT_ADDRESS =
+    getDeployedContractAddress() ?? config.CONTRACT_ADDRESS;
+  return config;
+};
+
+/**
+ * Every module requires src/config.js directly. index.js runs its scripts with
+ * this file preloaded (node -r), with `--config` or a `--profile` it loads that
+ * config and puts it in the require cache in place of src/config.js. Render
+ * workers get the same preload and environment, so they use the same config.
+ *
+ * @param {String} _file Config file (.js, .json, .yaml or .yml), relative to
+ * the backend folder
+ */
+const useConfig = (_file) => {
+  const configFile = path.resolve(basePath, _file);
+  const defaultFile = require.resolve(`${basePath}/src/config.js`);
+  if (configFile == defaultFile) {
+    return;
+  }
+  if (path.extname(configFile).toLowerCase() == ".js") {
+    require(configFile);
+    require.cache[defaultFile] = require.cache[configFile];
+    return;
+  }
+  const configModule = new Module(defaultFile);
+  configModule.filename = defaultFile;
+  configModule.exports = loadDataConfig(configFile, require(defaultFile));
+  configModule.loaded = true;
+  require.cache[defaultFile] = configModule;
+};
+
+const configFile = process.env[CLI_ENV.config] ?? profile?.config;
+if (configFile) {
+  useConfig(configFile);
+}
+
+module.exports = {
+  loadDataConfig,
+  useConfig,
+};
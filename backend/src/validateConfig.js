@@ -0,0 +1,559 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const { keccak256 } = require(`${basePath}/node_modules/js-sha3`);
+const { NETWORK } = require(`${basePath}/constants/network.js`);
+const { HASH_BITS } = require(`${basePath}/constants/visual_hash.js`);
+const config = require(`${basePath}/src/config.js`);
+const {
+  isElementFile,
+  readManifest,
+  getElements,
+} = require(`${basePath}/src/assets.js`);
+const { hasFormatter } = require(`${basePath}/src/metadata.js`);
+const { FORMATS, getOutputs } = require(`${basePath}/src/outputs.js`);
+const { checkText } = require(`${basePath}/src/textOverlay.js`);
+const { checkPlacement } = require(`${basePath}/src/placement.js`);
+const {
+  MAX_NAME_LENGTH,
+  MAX_SYMBOL_LENGTH,
+  checkCreators,
+} = require(`${basePath}/src/solana.js`);
+const { layersDir } = require(`${basePath}/src/paths.js`);
+const { logEvent } = require(`${basePath}/src/log.js`);
+
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const TEZOS_ADDRESS = /^(tz1|tz2|tz3|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/;
+
+// build folders written by other steps, an output can not use them
+const RESERVED_FOLDERS = ["json", "gifs", "assets", "contract", "genericJson"];
+
+const isHidden = (_file) => /(^|\/)\.[^\/\.]/g.test(_file);
+
+/**
+ * EIP-55 checksum: every letter of the address is upper case when the matching
+ * digit of the keccak256 hash of the lower case address is 8 or more.
+ */
+const toChecksumAddress = (_address) => {
+  const address = _address.toLowerCase().replace(/^0x/, "");
+  const hash = keccak256(address);
+  return `0x${[...address]
+    .map((char, index) =>
+      parseInt(hash[index], 16) >= 8 ? char.toUpperCase() : char
+    )
+    .join("")}`;
+};
+
+const checkAddress = (_errors, _key, _address) => {
+  if (typeof _address != "string" || !/^0x[0-9a-fA-F]{40}$/.test(_address)) {
+    _errors.push({ key: _key, message: `"${_address}" is not an address` });
+  } else if (toChecksumAddress(_address) != _address) {
+    _errors.push({
+      key: _key,
+      message: `"${_address}" is not checksummed, use "${toChecksumAddress(
+        _address
+      )}"`,
+    });
+  }
+};
+
+const checkDate = (_errors, _key, _date) => {
+  if (
+    typeof _date != "string" ||
+    !ISO_DATE.test(_date) ||
+    isNaN(Date.parse(_date))
+  ) {
+    _errors.push({
+      key: _key,
+      message: `"${_date}" is not an ISO 8601 date, eg. 2022-02-08T11:30:48+00:00`,
+    });
+  }
+};
+
+const checkRange = (_errors, _key, _value, _min, _max) => {
+  if (!Number.isInteger(_value) || _value < _min || _value > _max) {
+    _errors.push({
+      key: _key,
+      message: `${_value} must be a whole number from ${_min} to ${_max}`,
+    });
+  }
+};
+
+const checkNumberRange = (_errors, _key, _value, _min, _max) => {
+  if (
+    typeof _value != "number" ||
+    isNaN(_value) ||
+    _value < _min ||
+    _value > _max
+  ) {
+    _errors.push({
+      key: _key,
+      message: `${_value} must be a number from ${_min} to ${_max}`,
+    });
+  }
+};
+
+/**
+ * Checks the elements of a layer folder: there has to be at least one image
+ * (or folder of frames), the rarity weight after the delimiter has to be a
+ * number, a weights manifest can only list existing files with numeric
+ * weights and sidecar placements need valid options.
+ */
+const checkElements = (_errors, _key, _folder) => {
+  let manifest;
+  try {
+    manifest = readManifest(`${_folder}/`) ?? {};
+  } catch (error) {
+    _errors.push({
+      key: _key,
+      message: `${path.relative(basePath, _folder)}: ${error.message}`,
+    });
+    return;
+  }
+  const elements = getElements(`${_folder}/`);
+  if (elements.length == 0) {
+    _errors.push({
+      key: _key,
+      message: `${path.relative(basePath, _folder)} has no images`,
+    });
+  }
+  elements
+    .filter((element) => element.placement != undefined)
+    .forEach((element) =>
+      checkPlacement(element.placement).forEach((message) =>
+        _errors.push({
+          key: _key,
+          message: `"${element.filename}": ${message}`,
+        })
+      )
+    );
+  Object.entries(manifest).forEach(([file, entry]) => {
+    if (!elements.some((element) => element.filename == file)) {
+      _errors.push({
+        key: _key,
+        message: `the weights manifest lists "${file}" which is not an image in ${path.relative(
+          basePath,
+          _folder
+        )}`,
+      });
+    }
+    if (
+      entry.weight != undefined &&
+      (typeof entry.weight != "number" || isNaN(entry.weight))
+    ) {
+      _errors.push({
+        key: _key,
+        message: `the weights manifest has a weight for "${file}" that is not a number`,
+      });
+    }
+  });
+  elements
+    .filter((element) => manifest[element.filename]?.weight == undefined)
+    .forEach((element) => {
+      const name = isElementFile(element.filename)
+        ? path.parse(element.filename).name
+        : element.filename;
+      if (
+        name.includes(config.rarityDelimiter) &&
+        isNaN(Number(name.split(config.rarityDelimiter).pop()))
+      ) {
+        _errors.push({
+          key: _key,
+          message: `"${element.filename}" has a rarity weight that is not a number`,
+        });
+      }
+    });
+};
+
+const checkLayerConfigurations = (_errors) => {
+  const { layerConfigurations } = config;
+  if (!Array.isArray(layerConfigurations) || layerConfigurations.length == 0) {
+    _errors.push({
+      key: "layerConfigurations",
+      message: "needs at least one layer configuration",
+    });
+    return;
+  }
+  layerConfigurations.forEach((layerConfig, index) => {
+    const key = `layerConfigurations[${index}]`;
+    const previous = layerConfigurations[index - 1]?.growEditionSizeTo ?? 0;
+    if (!Number.isInteger(layerConfig.growEditionSizeTo)) {
+      _errors.push({
+        key: `${key}.growEditionSizeTo`,
+        message: `${layerConfig.growEditionSizeTo} is not a whole number`,
+      });
+    } else if (layerConfig.growEditionSizeTo <= previous) {
+      _errors.push({
+        key: `${key}.growEditionSizeTo`,
+        message: `${layerConfig.growEditionSizeTo} has to be larger than the previous configuration (${previous}), it is the total edition count so far`,
+      });
+    }
+    if (
+      !Array.isArray(layerConfig.layersOrder) ||
+      layerConfig.layersOrder.length == 0
+    ) {
+      _errors.push({
+        key: `${key}.layersOrder`,
+        message: "needs at least one layer",
+      });
+      return;
+    }
+    const traitTypes = layerConfig.layersOrder.map(
+      (layer) => layer.options?.["displayName"] ?? layer.name
+    );
+    // templates can only use traits picked from images, not other texts
+    const imageTraitTypes = traitTypes.filter(
+      (traitType, index) =>
+        layerConfig.layersOrder[index].options?.["text"] == undefined
+    );
+    layerConfig.layersOrder.forEach((layer, layerIndex) => {
+      const layerKey = `${key}.layersOrder[${layerIndex}] (${layer.name})`;
+      // presence is the chance of the layer being in an edition
+      if (layer.options?.["presence"] != undefined) {
+        checkNumberRange(
+          _errors,
+          `${key}.layersOrder[${layerIndex}].options.presence`,
+          layer.options["presence"],
+          0,
+          1
+        );
+      }
+      if (layer.options?.["placement"] != undefined) {
+        checkPlacement(layer.options["placement"]).forEach((message) =>
+          _errors.push({ key: layerKey, message })
+        );
+      }
+      // text layers are drawn from their template, they have no folder
+      if (layer.options?.["text"] != undefined) {
+        checkText(layer.options["text"], imageTraitTypes).forEach((message) =>
+          _errors.push({ key: layerKey, message })
+        );
+        return;
+      }
+      const folder = `${layersDir}/${layer.name}`;
+      if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        _errors.push({
+          key: layerKey,
+          message: `folder ${path.relative(basePath, folder)} does not exist`,
+        });
+        return;
+      }
+      if (layer.options?.["linkedTo"] == undefined) {
+        checkElements(_errors, layerKey, folder);
+        return;
+      }
+      // the element of the parent decides the subfolder, so it is picked first
+      const parentIndex = layerConfig.layersOrder.findIndex(
+        (parent, index) =>
+          parent.name == layer.options["linkedTo"] ||
+          traitTypes[index] == layer.options["linkedTo"]
+      );
+      if (parentIndex > layerIndex) {
+        _errors.push({
+          key: layerKey,
+          message: `is linked to "${layer.options["linkedTo"]}" which comes after it in layersOrder, list the parent layer first`,
+        });
+      }
+      // linked layers keep their elements in one subfolder per parent element
+      fs.readdirSync(folder, { withFileTypes: true })
+        .filter((item) => item.isDirectory() && !isHidden(item.name))
+        .forEach((variant) =>
+          checkElements(_errors, layerKey, `${folder}/${variant.name}`)
+        );
+    });
+  });
+};
+
+const checkOutputs = (_errors) => {
+  const { outputs } = config;
+  if (outputs == undefined) {
+    return;
+  }
+  if (!Array.isArray(outputs)) {
+    _errors.push({ key: "outputs", message: "must be a list of outputs" });
+    return;
+  }
+  outputs.forEach((output, index) => {
+    const key = `outputs[${index}]`;
+    if (FORMATS[output.format ?? "png"] == undefined) {
+      _errors.push({
+        key: `${key}.format`,
+        message: `"${output.format}" is not one of ${Object.keys(FORMATS).join(
+          ", "
+        )}`,
+      });
+    }
+    if (typeof output.folder != "string" || !/^[\w-]+$/.test(output.folder)) {
+      _errors.push({
+        key: `${key}.folder`,
+        message: `"${output.folder}" is not a folder name, use letters, digits, - and _`,
+      });
+    } else if (RESERVED_FOLDERS.includes(output.folder)) {
+      _errors.push({
+        key: `${key}.folder`,
+        message: `"${output.folder}" is already used by the build folder`,
+      });
+    } else if (
+      outputs.findIndex((other) => other.folder == output.folder) != index
+    ) {
+      _errors.push({
+        key: `${key}.folder`,
+        message: `"${output.folder}" is the folder of another output`,
+      });
+    }
+    ["width", "height"].forEach((size) => {
+      if (
+        output[size] != undefined &&
+        (!Number.isInteger(output[size]) || output[size] <= 0)
+      ) {
+        _errors.push({
+          key: `${key}.${size}`,
+          message: `${output[size]} is not a whole number of pixels`,
+        });
+      }
+    });
+    if (output.quality != undefined) {
+      checkRange(_errors, `${key}.quality`, output.quality, 0, 100);
+    }
+  });
+  if (outputs.filter((output) => output.primary).length > 1) {
+    _errors.push({
+      key: "outputs",
+      message: "only one output can be primary",
+    });
+  }
+};
+
+const checkContract = (_errors) => {
+  const { layerConfigurations } = config;
+  const lastEdition =
+    layerConfigurations?.[layerConfigurations.length - 1]?.growEditionSizeTo;
+  if (Number.isInteger(lastEdition) && config.MAX_SUPPLY != lastEdition) {
+    _errors.push({
+      key: "MAX_SUPPLY",
+      message: `${config.MAX_SUPPLY} does not match the ${lastEdition} editions generated by layerConfigurations`,
+    });
+  }
+  checkAddress(_errors, "OWNER_ADDRESS", config.OWNER_ADDRESS);
+  checkAddress(_errors, "TREASURY_ADDRESS", config.TREASURY_ADDRESS);
+  if (config.ROYALTY_ADDRESS != null) {
+    checkAddress(_errors, "ROYALTY_ADDRESS", config.ROYALTY_ADDRESS);
+  }
+  (config.PRESALE_WHITELISTED_ADDRESSES ?? []).forEach((address, index) =>
+    checkAddress(_errors, `PRESALE_WHITELISTED_ADDRESSES[${index}]`, address)
+  );
+  checkDate(_errors, "PUBLIC_MINT_START_DATE", config.PUBLIC_MINT_START_DATE);
+  if (config.PRESALE_MINT_START_DATE != null) {
+    checkDate(
+      _errors,
+      "PRESALE_MINT_START_DATE",
+      config.PRESALE_MINT_START_DATE
+    );
+  }
+  // royalties are in basis points, 10000 = 100%
+  checkRange(_errors, "ROYALTY_SHARE", config.ROYALTY_SHARE, 0, 10000);
+};
+
+const checkSolana = (_errors) => {
+  const { solanaMetadata } = config;
+  checkRange(
+    _errors,
+    "solanaMetadata.seller_fee_basis_points",
+    solanaMetadata.seller_fee_basis_points,
+    0,
+    10000
+  );
+  const creators = solanaMetadata.creators ?? [];
+  creators.forEach((creator, index) => {
+    const key = `solanaMetadata.creators[${index}]`;
+    checkRange(_errors, `${key}.share`, creator.share, 0, 100);
+    if (
+      config.network == NETWORK.sol &&
+      !SOLANA_ADDRESS.test(creator.address)
+    ) {
+      _errors.push({
+        key: `${key}.address`,
+        message: `"${creator.address}" is not a Solana address`,
+      });
+    }
+  });
+  if (config.network != NETWORK.sol) {
+    const total = creators.reduce((sum, creator) => sum + creator.share, 0);
+    if (creators.length > 0 && total != 100) {
+      _errors.push({
+        key: "solanaMetadata.creators",
+        message: `shares add up to ${total} instead of 100`,
+      });
+    }
+    return;
+  }
+  checkCreators(solanaMetadata.creators).forEach((message) =>
+    _errors.push({ key: "solanaMetadata.creators", message })
+  );
+  if (`${solanaMetadata.symbol}`.length > MAX_SYMBOL_LENGTH) {
+    _errors.push({
+      key: "solanaMetadata.symbol",
+      message: `"${solanaMetadata.symbol}" is longer than ${MAX_SYMBOL_LENGTH} characters`,
+    });
+  }
+  // the longest generated name, legendaries are checked by validate_solana.
+  // Solana editions start at 0, so the last one is the edition count - 1
+  const { layerConfigurations } = config;
+  const total =
+    layerConfigurations?.[layerConfigurations.length - 1]?.growEditionSizeTo;
+  const name = `${config.namePrefix} #${total - 1}`;
+  if (Number.isInteger(total) && name.length > MAX_NAME_LENGTH) {
+    _errors.push({
+      key: "namePrefix",
+      message: `"${name}" is longer than the ${MAX_NAME_LENGTH} characters Solana allows for a name`,
+    });
+  }
+};
+
+const checkTezos = (_errors) => {
+  const { tezosMetadata } = config;
+  if (config.network != NETWORK.tez) {
+    return;
+  }
+  checkRange(
+    _errors,
+    "tezosMetadata.royalties",
+    tezosMetadata.royalties,
+    0,
+    10000
+  );
+  const creators = tezosMetadata.creators ?? [];
+  if (creators.length == 0) {
+    _errors.push({
+      key: "tezosMetadata.creators",
+      message: "needs at least one creator",
+    });
+  }
+  creators.forEach((creator, index) => {
+    const key = `tezosMetadata.creators[${index}]`;
+    checkRange(_errors, `${key}.share`, creator.share, 0, 100);
+    if (!TEZOS_ADDRESS.test(creator.address)) {
+      _errors.push({
+        key: `${key}.address`,
+        message: `"${creator.address}" is not a Tezos address`,
+      });
+    }
+  });
+  const total = creators.reduce((sum, creator) => sum + creator.share, 0);
+  if (creators.length > 0 && total != 100) {
+    _errors.push({
+      key: "tezosMetadata.creators",
+      message: `shares add up to ${total} instead of 100`,
+    });
+  }
+  if (
+    tezosMetadata.thumbnailOutput != null &&
+    !getOutputs().some(
+      (output) => output.folder == tezosMetadata.thumbnailOutput
+    )
+  ) {
+    _errors.push({
+      key: "tezosMetadata.thumbnailOutput",
+      message: `"${tezosMetadata.thumbnailOutput}" is not the folder of an entry of outputs`,
+    });
+  }
+};
+
+const checkVisualDuplicates = (_errors) => {
+  const { visualDuplicates } = config;
+  if (visualDuplicates == undefined) {
+    return;
+  }
+  checkRange(
+    _errors,
+    "visualDuplicates.threshold",
+    visualDuplicates.threshold,
+    0,
+    HASH_BITS
+  );
+  if (!["flag", "reroll"].includes(visualDuplicates.action)) {
+    _errors.push({
+      key: "visualDuplicates.action",
+      message: `"${visualDuplicates.action}" is not "flag" or "reroll"`,
+    });
+  }
+};
+
+/**
+ * Checks config.js for mistakes that would otherwise only show up as a crash
+ * halfway through a script.
+ *
+ * @returns {Array} Every problem found as {key, message}
+ */
+const validateConfig = () => {
+  const errors = [];
+  if (!hasFormatter(config.network)) {
+    errors.push({
+      key: "network",
+      message: `"${config.network}" has no metadata formatter in src/formatters`,
+    });
+  }
+  checkLayerConfigurations(errors);
+  checkOutputs(errors);
+  checkSolana(errors);
+  checkTezos(errors);
+  checkVisualDuplicates(errors);
+  return errors;
+};
+
+/**
+ * Checks the fields only the contract uses: addresses, mint dates, royalties
+ * and MAX_SUPPLY. A mistake there shows up as a failed NFTPort call.
+ *
+ * @returns {Array} Every problem found as {key, message}
+ */
+const validateContract = () => {
+  const errors = [];
+  checkContract(errors);
+  return errors;
+};
+
+/**
+ * Runs validateConfig and stops the script with the full list of problems.
+ * Every backend script calls this before doing anything else. Problems of the
+ * contract fields only stop the scripts that deploy, update or upload to the
+ * contract, the others list them as warnings.
+ *
+ * @param {Object} _options {contract: true} for scripts that need the contract
+ */
+const checkConfig = (_options = {}) => {
+  const errors = validateConfig();
+  const contractErrors = validateContract();
+  if (_options.contract) {
+    errors.push(...contractErrors);
+  } else {
+    contractErrors.forEach((error) =>
+      logEvent(
+        "config_warning",
+        error,
+        `Warning: ${error.key}: ${error.message}, fix it before deploying the contract`
+      )
+    );
+  }
+  if (errors.length == 0) {
+    return;
+  }
+  logEvent(
+    "config_errors",
+    { count: errors.length },
+    `Found ${errors.length} problem(s) in src/config.js:`
+  );
+  errors.forEach((error) =>
+    logEvent("config_error", error, `- ${error.key}: ${error.message}`)
+  );
+  process.exit(1);
+};
+
+module.exports = {
+  validateConfig,
+  validateContract,
+  checkConfig,
+  toChecksumAddress,
+};
@@ -0,0 +1,114 @@
+const basePath = process.cwd();
+const { createCanvas } = require(`${basePath}/node_modules/canvas`);
+const {
+  HASH_SIZE,
+  HASH_BITS,
+} = require(`${basePath}/constants/visual_hash.js`);
+
+/**
+ * Difference hash of an image: it is shrunk to (HASH_SIZE + 1) x HASH_SIZE
+ * grey pixels and every bit tells whether a pixel is brighter than its right
+ * neighbour. Images that look alike get hashes that differ in few bits, no
+ * matter their DNA, size or encoding.
+ *
+ * @param {Canvas|Image} _image Rendered canvas or loaded image
+ * @returns {String} Hash as hex
+ */
+const getVisualHash = (_image) => {
+  const canvas = createCanvas(HASH_SIZE + 1, HASH_SIZE);
+  const ctx = canvas.getContext("2d");
+  // average all source pixels instead of sampling a few
+  ctx.quality = "best";
+  ctx.drawImage(_image, 0, 0, HASH_SIZE + 1, HASH_SIZE);
+  const { data } = ctx.getImageData(0, 0, HASH_SIZE + 1, HASH_SIZE);
+  // transparent pixels count as black
+  const grey = (_x, _y) => {
+    const i = (_y * (HASH_SIZE + 1) + _x) * 4;
+    return (
+      ((data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000) *
+      (data[i + 3] / 255)
+    );
+  };
+  let hash = 0n;
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      hash = (hash << 1n) | (grey(x, y) > grey(x + 1, y) ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(HASH_BITS / 4, "0");
+};
+
+// Number of set bits of a 32 bit integer
+const countBits = (_n) => {
+  _n = _n - ((_n >>> 1) & 0x55555555);
+  _n = (_n & 0x33333333) + ((_n >>> 2) & 0x33333333);
+  return Math.imul((_n + (_n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+};
+
+// Number of bits that differ between two hashes, compared 32 bits at a time
+const getHashDistance = (_a, _b) => {
+  let distance = 0;
+  for (let i = 0; i < _a.length; i += 8) {
+    distance += countBits(
+      parseInt(_a.slice(i, i + 8), 16) ^ parseInt(_b.slice(i, i + 8), 16)
+    );
+  }
+  return distance;
+};
+
+/**
+ * Finds the first hashed edition that looks like `_hash`.
+ *
+ * @param {Array} _hashes Earlier editions as {edition, hash}
+ * @param {String} _hash Hash of the new edition
+ * @param {Number} _threshold Most bits that may differ, 0 only matches identical images
+ * @returns {Object|null} {edition, distance} of the match
+ */
+const findVisualDuplicate = (_hashes, _hash, _threshold) => {
+  for (const { edition, hash } of _hashes) {
+    const distance = hash == _hash ? 0 : getHashDistance(hash, _hash);
+    if (distance <= _threshold) {
+      return { edition, distance };
+    }
+  }
+  return null;
+};
+
+/**
+ * Groups editions that look alike. Two editions end up in the same cluster when
+ * a chain of editions within `_threshold` bits connects them.
+ *
+ * @param {Array} _hashes Editions as {edition, hash}
+ * @param {Number} _threshold Most bits that may differ
+ * @returns {Array} Clusters of two or more edition numbers
+ */
+const getDuplicateClusters = (_hashes, _threshold) => {
+  const parents = _hashes.map((_, index) => index);
+  const find = (_index) =>
+    parents[_index] == _index
+      ? _index
+      : (parents[_index] = find(parents[_index]));
+  for (let a = 0; a < _hashes.length; a++) {
+    for (let b = a + 1; b < _hashes.length; b++) {
+      if (
+        find(a) != find(b) &&
+        getHashDistance(_hashes[a].hash, _hashes[b].hash) <= _threshold
+      ) {
+        parents[find(b)] = find(a);
+      }
+    }
+  }
+  const clusters = new Map();
+  _hashes.forEach(({ edition }, index) => {
+    const root = find(index);
+    clusters.set(root, [...(clusters.get(root) ?? []), edition]);
+  });
+  return [...clusters.values()].filter((cluster) => cluster.length > 1);
+};
+
+module.exports = {
+  getVisualHash,
+  getHashDistance,
+  findVisualDuplicate,
+  getDuplicateClusters,
+};
@@ -0,0 +1,213 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseCsvLine,
+  readManifest,
+  getElements,
+} = require(`${basePath}/src/assets.js`);
+const {
+  skipWithoutCanvas,
+  createPng,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+// a layer folder with the given files, JSON content for .json files
+const createLayerFolder = (_t, _files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "minter-layer-"));
+  _t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.entries(_files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(`${dir}/${file}`), { recursive: true });
+    fs.writeFileSync(
+      `${dir}/${file}`,
+      file.endsWith(".json") || file.endsWith(".csv")
+        ? typeof content == "string"
+          ? content
+          : JSON.stringify(content)
+        : createPng([0, 0, 0, 255])
+    );
+  });
+  return `${dir}/`;
+};
+
+test("a folder of frames is one animated element", (t) => {
+  const folder = createLayerFolder(t, {
+    "flap#10/0.png": null,
+    "flap#10/1.png": null,
+    "flap#10/2.png": null,
+    "flap#10/10.png": null,
+    "still#5.png": null,
+  });
+  const [flap, still] = getElements(folder);
+  assert.equal(flap.name, "flap");
+  assert.equal(flap.weight, 10);
+  assert.deepStrictEqual(flap.animation, {
+    frames: 4,
+    paths: ["0.png", "1.png", "2.png", "10.png"].map(
+      (frame) => `${folder}flap#10/${frame}`
+    ),
+  });
+  assert.equal(still.animation, undefined);
+});
+
+test("a sprite sheet gets its frames from its sidecar", (t) => {
+  const folder = createLayerFolder(t, {
+    "wings.png": null,
+    "wings.json": { animation: { frames: 8, columns: 4 } },
+    "tail.png": null,
+    "tail.json": { animation: { frames: 3 } },
+  });
+  const elements = getElements(folder);
+  const animation = (_name) =>
+    elements.find((element) => element.name == _name).animation;
+  assert.deepStrictEqual(animation("wings"), { frames: 8, columns: 4 });
+  assert.deepStrictEqual(animation("tail"), { frames: 3, columns: 3 });
+});
+
+test("parseCsvLine keeps commas and quotes of quoted cells", () => {
+  assert.deepStrictEqual(parseCsvLine(' gold.png , "Gold, shiny" ,2.5'), [
+    "gold.png",
+    "Gold, shiny",
+    "2.5",
+  ]);
+  assert.deepStrictEqual(parseCsvLine('"say ""hi"".png",,'), [
+    'say "hi".png',
+    "",
+    "",
+  ]);
+});
+
+test("weights.json sets names and weights, other files keep their filename", (t) => {
+  const folder = createLayerFolder(t, {
+    "gold.png": null,
+    "red eyes.png": null,
+    "blue#4.png": null,
+    "weights.json": {
+      "gold.png": 2.5,
+      "red eyes.png": { name: "Red", weight: 3 },
+    },
+  });
+  assert.deepStrictEqual(
+    getElements(folder).map(({ name, weight }) => ({ name, weight })),
+    [
+      { name: "blue", weight: 4 },
+      { name: "gold", weight: 2.5 },
+      { name: "Red", weight: 3 },
+    ]
+  );
+});
+
+test("weights.csv can leave the name or the weight empty", (t) => {
+  const folder = createLayerFolder(t, {
+    "gold#7.png": null,
+    "red eyes.png": null,
+    "weights.csv":
+      'file,name,weight\r\ngold#7.png,,2\r\n"red eyes.png",Red,\r\n',
+  });
+  assert.deepStrictEqual(readManifest(folder), {
+    "gold#7.png": { name: undefined, weight: 2 },
+    "red eyes.png": { name: "Red", weight: undefined },
+  });
+  assert.deepStrictEqual(
+    getElements(folder).map(({ name, weight }) => ({ name, weight })),
+    [
+      { name: "gold", weight: 2 },
+      { name: "Red", weight: 1 },
+    ]
+  );
+});
+
+test("weights.csv rows need a file name", (t) => {
+  const folder = createLayerFolder(t, {
+    "gold.png": null,
+    "weights.csv": "file,weight\ngold.png,2\n,3\n",
+  });
+  assert.throws(() => readManifest(folder), {
+    message: "weights.csv row 2 has no file name",
+  });
+});
+
+test("the config check reports manifest mistakes", (t) => {
+  const project = createProject(
+    { Eyes: ["open.png", "closed.png"], Beak: ["gold.png"] },
+    {
+      layerConfigurations: [
+        {
+          growEditionSizeTo: 2,
+          layersOrder: [{ name: "Eyes" }, { name: "Beak" }],
+        },
+      ],
+    }
+  );
+  t.after(() => removeProject(project));
+  const layers = `${project.profileDir}/layers`;
+  fs.writeFileSync(
+    `${layers}/Eyes/weights.json`,
+    JSON.stringify({ "open.png": "many", "laser.png": 2 })
+  );
+  fs.writeFileSync(`${layers}/Beak/weights.csv`, "file,weight\n,3\n");
+  // the config check runs before anything is exported
+  const { status, output } = runCli(project, ["solana", "--validate"]);
+  assert.equal(status, 1, output);
+  assert.match(
+    output,
+    /weights manifest has a weight for "open.png" that is not a number/
+  );
+  assert.match(
+    output,
+    /weights manifest lists "laser.png" which is not an image/
+  );
+  assert.match(output, /Beak: weights.csv row 1 has no file name/);
+});
+
+// graphic control extensions, one per frame of the gif
+const countGifFrames = (_file) =>
+  fs.readFileSync(_file).toString("latin1").split("\x21\xf9\x04").length - 1;
+
+test(
+  "only editions with an animated element loop their frames",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      {
+        Background: ["blue.png"],
+        Wings: ["flap/0.png", "flap/1.png", "flap/2.png", "folded.png"],
+      },
+      {
+        gif: {
+          export: true,
+          repeat: 0,
+          quality: 100,
+          delay: 100,
+          maxFrames: 120,
+        },
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 2,
+            layersOrder: [{ name: "Background" }, { name: "Wings" }],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const { status, output } = runCli(project, ["generate"]);
+    assert.equal(status, 0, output);
+    readBuildJson(project, "json/_metadata.json").forEach((metadata) => {
+      const wings = metadata.attributes.find((a) => a.trait_type == "Wings");
+      assert.ok(
+        fs.existsSync(`${project.buildDir}/images/${metadata.edition}.png`)
+      );
+      // a still edition adds one frame per layer
+      assert.equal(
+        countGifFrames(`${project.buildDir}/gifs/${metadata.edition}.gif`),
+        wings.value == "flap" ? 3 : 2
+      );
+    });
+  }
+);
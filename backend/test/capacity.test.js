@@ -0,0 +1,119 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  countDnaCombinations,
+  getExpectedCounts,
+  checkCapacity,
+} = require(`${basePath}/src/capacity.js`);
+const { compileRules } = require(`${basePath}/src/rules.js`);
+const {
+  skipWithoutCanvas,
+  createLayers,
+  createProject,
+  removeProject,
+  runCli,
+} = require(`${basePath}/test/helpers.js`);
+
+test("countDnaCombinations leaves out bypassDNA layers and unpickable elements", () => {
+  const layers = createLayers({
+    Background: { bypassDNA: true, elements: ["blue", "red"] },
+    Eyes: ["open", "closed", "laser#0"],
+    Beak: ["gold", "red"],
+  });
+  assert.deepStrictEqual(countDnaCombinations(layers, []), {
+    count: 4,
+    exact: true,
+  });
+  const { rules } = compileRules(
+    [
+      {
+        layer: "Eyes",
+        element: "closed",
+        excludes: { layer: "Beak", element: "gold" },
+      },
+    ],
+    layers
+  );
+  assert.deepStrictEqual(countDnaCombinations(layers, rules), {
+    count: 3,
+    exact: true,
+  });
+});
+
+test("getExpectedCounts shares the editions by weight, presence and quota", () => {
+  const layers = createLayers({
+    Eyes: ["open#3", "closed#1"],
+    Hand: {
+      presence: 0.5,
+      elements: ["left", "right"],
+    },
+    Beak: { quota: "count", elements: ["gold#1", "red#7"] },
+  });
+  layers[1].elements.push({ id: 2, name: "None", weight: 0, absent: true });
+  const counts = getExpectedCounts(layers, [null, null, { 0: 1, 1: 7 }], 8);
+  assert.deepStrictEqual(
+    counts.map((layer) => layer.elements.map((element) => element.count)),
+    [
+      [6, 2],
+      [2, 2, 4],
+      [1, 7],
+    ]
+  );
+});
+
+test("checkCapacity warns from half of the combinations on", () => {
+  const combinations = { count: 10, exact: true };
+  assert.deepStrictEqual(checkCapacity(combinations, 5), []);
+  assert.match(checkCapacity(combinations, 6)[0], /use 60\.0% of the 10/);
+  assert.match(checkCapacity(combinations, 11)[0], /Only 10 unique/);
+  assert.deepStrictEqual(checkCapacity({ count: 10, exact: false }, 11), []);
+});
+
+test(
+  "dry run samples the re-rolls of several runs",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      { Eyes: ["open.png", "closed.png"], Beak: ["gold.png", "red.png"] },
+      {
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 4,
+            layersOrder: [{ name: "Eyes" }, { name: "Beak" }],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const dryRun = (_args) => {
+      const { status, output } = runCli(project, [
+        "generate",
+        "--dry-run",
+        "--json-logs",
+        "--seed",
+        "dove",
+        ..._args,
+      ]);
+      return {
+        status,
+        output,
+        report: output
+          .split("\n")
+          .filter((line) => line.startsWith("{"))
+          .map((line) => JSON.parse(line))
+          .find((event) => event.event == "dry_run"),
+      };
+    };
+    const { status, output, report } = dryRun([]);
+    assert.equal(status, 0, output);
+    // picking all 4 combinations re-rolls a different number of times per run
+    assert.equal(report.rerolls.runs, 10);
+    assert.ok(report.rerolls.min < report.rerolls.max, output);
+    assert.ok(report.rerolls.min <= report.rerolls.average, output);
+    assert.ok(report.rerolls.average <= report.rerolls.max, output);
+    assert.equal(report.created, 4);
+    assert.equal(report.stoppedRuns, 0);
+    assert.deepStrictEqual(dryRun([]).report.rerolls, report.rerolls);
+  }
+);
@@ -0,0 +1,102 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const {
+  createProject,
+  removeProject,
+  runCli,
+} = require(`${basePath}/test/helpers.js`);
+
+// index.js of a project from createProject, without --profile
+const runIndex = (_project, _args) => {
+  const result = spawnSync(process.execPath, ["index.js", ..._args], {
+    cwd: _project.dir,
+    encoding: "utf8",
+    timeout: 120000,
+  });
+  return {
+    status: result.status,
+    output: `${result.stdout}${result.stderr}`,
+  };
+};
+
+const createEyesProject = (_t) => {
+  const project = createProject(
+    { Eyes: ["open.png"] },
+    {
+      layerConfigurations: [
+        { growEditionSizeTo: 1, layersOrder: [{ name: "Eyes" }] },
+      ],
+    }
+  );
+  _t.after(() => removeProject(project));
+  return project;
+};
+
+test("--help lists every command", (t) => {
+  const { status, output } = runIndex(createEyesProject(t), ["--help"]);
+  assert.equal(status, 0, output);
+  [
+    "generate",
+    "reroll",
+    "rarity",
+    "preview",
+    "pixelate",
+    "duplicates",
+    "solana",
+    "upload",
+    "deploy",
+    "update",
+    "refresh",
+    "profiles",
+  ].forEach((command) =>
+    assert.match(output, new RegExp(`^  ${command}\\b`, "m"))
+  );
+});
+
+test("commands reject unknown options and arguments", (t) => {
+  const project = createEyesProject(t);
+  const unknownOption = runCli(project, ["rarity", "--sorted"]);
+  assert.equal(unknownOption.status, 1, unknownOption.output);
+  assert.match(unknownOption.output, /unknown option '--sorted'/);
+  const unknownField = runCli(project, ["update", "owner"]);
+  assert.equal(unknownField.status, 1, unknownField.output);
+  assert.match(
+    unknownField.output,
+    /value 'owner' is invalid for argument 'field'\. Allowed choices are info, public_mint_start_date/
+  );
+  // refresh needs both ends of the range
+  const refresh = runCli(project, ["refresh", "--start", "1"]);
+  assert.equal(refresh.status, 1, refresh.output);
+  assert.match(refresh.output, /required option '--end <edition>'/);
+});
+
+test("--config replaces the config of the profile for the script", (t) => {
+  const project = createEyesProject(t);
+  fs.writeFileSync(
+    `${project.dir}/other.json`,
+    JSON.stringify({ network: "btc" })
+  );
+  const { status, output } = runCli(project, [
+    "--config",
+    "other.json",
+    "solana",
+    "--validate",
+  ]);
+  assert.equal(status, 1, output);
+  assert.match(output, /- network: "btc" has no metadata formatter/);
+  // the profile config alone is valid
+  assert.doesNotMatch(
+    runCli(project, ["solana", "--validate"]).output,
+    /network:/
+  );
+});
+
+test("the exit code of a failing script is the exit code of the CLI", (t) => {
+  const project = createEyesProject(t);
+  const { status, output } = runCli(project, ["solana", "--validate"]);
+  assert.equal(status, 1, output);
+  assert.match(output, /Found 1 problem\(s\) in build\/assets/);
+});
@@ -0,0 +1,179 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  getFixedEditions,
+  placeFixedEditions,
+  reserveQuotas,
+} = require(`${basePath}/src/fixedEditions.js`);
+const {
+  skipWithoutCanvas,
+  createLayers,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const LAYERS = {
+  Eyes: ["open.png", "closed.png", "laser.png"],
+  Beak: ["gold.png", "red.png"],
+};
+const LAYERS_ORDER = [{ name: "Eyes" }, { name: "Beak" }];
+
+// a spreadsheet in a temporary folder
+const writeSheet = (_t, _file, _content) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "minter-fixed-"));
+  _t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(`${dir}/${_file}`, _content);
+  return `${dir}/${_file}`;
+};
+
+const getSetups = () => [
+  {
+    layers: createLayers({
+      Eyes: ["open", "closed", "laser"],
+      Beak: ["gold", "red"],
+    }),
+    rules: [],
+    quotas: [null, null],
+  },
+];
+
+test("getFixedEditions resolves the rows of a CSV", (t) => {
+  const sheet = writeSheet(
+    t,
+    "fixed.csv",
+    "edition,Eyes,Beak\n3,laser,gold\n,closed,\n"
+  );
+  const { fixed, errors } = getFixedEditions(sheet, getSetups(), [6], 6, []);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(fixed, [
+    {
+      row: 1,
+      edition: 3,
+      layerConfigIndex: 0,
+      picks: [
+        [0, 2],
+        [1, 0],
+      ],
+    },
+    { row: 2, edition: null, layerConfigIndex: 0, picks: [[0, 1]] },
+  ]);
+});
+
+test("getFixedEditions lists the problems of every row", (t) => {
+  const sheet = writeSheet(
+    t,
+    "fixed.json",
+    JSON.stringify([
+      { edition: 2, Eyes: "wide", Wings: "left" },
+      { edition: 4, attributes: [{ trait_type: "Eyes", value: "laser" }] },
+      { edition: 4, Eyes: "open" },
+      { edition: 5, Eyes: "open" },
+      { Eyes: "closed", Beak: "red" },
+      { Eyes: "closed", Beak: "red" },
+    ])
+  );
+  const { errors } = getFixedEditions(sheet, getSetups(), [6], 6, [
+    { file: "dragon.png", edition: 5 },
+  ]);
+  assert.deepStrictEqual(errors, [
+    'Row 1: there is no layer "Wings"',
+    'Row 1: layer "Eyes" has no element "wide"',
+    "Row 3: edition 4 is in the spreadsheet twice",
+    "Row 4: edition 5 is a legendary",
+    "Row 6: same traits as row 5",
+  ]);
+});
+
+test("placeFixedEditions takes the fixed edition numbers out", () => {
+  const fixed = [{ edition: 2 }, { edition: null }, { edition: 9 }];
+  // edition 9 is not used by the 5 editions, it takes the place of the last one
+  assert.deepStrictEqual(
+    placeFixedEditions(fixed, [4, 2, 0, 3, 1, 9, 5, 6, 7, 8], 5),
+    [4, 0, 3, 1, 5, 6, 7, 8]
+  );
+});
+
+test("reserveQuotas keeps the quota the rows need", () => {
+  const quotas = [null, { 0: 3, 1: 2 }];
+  assert.deepStrictEqual(
+    reserveQuotas(quotas, [
+      { picks: [[1, 0]] },
+      {
+        picks: [
+          [0, 1],
+          [1, 0],
+        ],
+      },
+    ]),
+    [null, { 0: 1, 1: 2 }]
+  );
+  assert.deepStrictEqual(quotas, [null, { 0: 3, 1: 2 }]);
+});
+
+const createTestProject = (_t) => {
+  const project = createProject(LAYERS, {
+    layerConfigurations: [{ growEditionSizeTo: 6, layersOrder: LAYERS_ORDER }],
+  });
+  _t.after(() => removeProject(project));
+  return project;
+};
+
+test(
+  "generate gives fixed editions the traits of their row",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createTestProject(t);
+    fs.writeFileSync(
+      `${project.dir}/fixed.csv`,
+      "edition,Eyes,Beak\n3,laser,gold\n,closed,\n"
+    );
+    const { status, output } = runCli(project, [
+      "generate",
+      "--fixed",
+      "fixed.csv",
+    ]);
+    assert.equal(status, 0, output);
+    const metadata = readBuildJson(project, "json/_metadata.json");
+    assert.equal(metadata.length, 6);
+    const value = (_metadata, _traitType) =>
+      _metadata.attributes.find(
+        (attribute) => attribute.trait_type == _traitType
+      ).value;
+    const third = metadata.find((edition) => edition.edition == 3);
+    assert.equal(value(third, "Eyes"), "laser");
+    assert.equal(value(third, "Beak"), "gold");
+    assert.ok(metadata.some((edition) => value(edition, "Eyes") == "closed"));
+    assert.equal(readBuildJson(project, "report.json").fixed, 2);
+  }
+);
+
+test(
+  "a wrong --fixed file under --clean leaves the previous collection alone",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createTestProject(t);
+    assert.equal(runCli(project, ["generate"]).status, 0);
+    const metadata = fs.readFileSync(`${project.buildDir}/json/_metadata.json`);
+    fs.writeFileSync(`${project.dir}/fixed.csv`, "Eyes,Beak\nwide,gold\n");
+    for (const flag of ["--clean", "--clean-all"]) {
+      const { status, output } = runCli(project, [
+        "generate",
+        flag,
+        "--fixed",
+        "fixed.csv",
+      ]);
+      assert.equal(status, 1, output);
+      assert.match(output, /Row 1: layer "Eyes" has no element "wide"/);
+      assert.deepStrictEqual(
+        fs.readFileSync(`${project.buildDir}/json/_metadata.json`),
+        metadata
+      );
+    }
+  }
+);
@@ -0,0 +1,14 @@
+// Stands in for src/renderWorker.js: `fail` answers with an error like a
+// failed render, `crash` ends the worker
+const { parentPort } = require("worker_threads");
+
+parentPort.on("message", (_job) => {
+  if (_job.crash) {
+    process.exit(2);
+  }
+  parentPort.postMessage(
+    _job.fail
+      ? { edition: _job.edition, error: "Error: broken layer" }
+      : { edition: _job.edition, hash: `hash of ${_job.edition}` }
+  );
+});
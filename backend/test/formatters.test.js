@@ -0,0 +1,111 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const { NETWORK } = require(`${basePath}/constants/network.js`);
+const { tezosMetadata, baseUri } = require(`${basePath}/src/config.js`);
+const {
+  hasFormatter,
+  getFormatter,
+  getUriFields,
+} = require(`${basePath}/src/metadata.js`);
+const tez = require(`${basePath}/src/formatters/tez.js`);
+const { withOutputs } = require(`${basePath}/test/helpers.js`);
+
+const EDITION = {
+  name: "Dove #3",
+  description: "A dove",
+  edition: 3,
+  date: 0,
+  attributes: [
+    { trait_type: "Eyes", value: "open" },
+    { trait_type: "Level", value: 3, display_type: "number", max_value: 10 },
+  ],
+};
+
+// formatters read tezosMetadata of src/config.js, its keys are put back after the test
+const withTezos = (_t, _keys) => {
+  const saved = { ...tezosMetadata };
+  Object.assign(tezosMetadata, _keys);
+  _t.after(() => {
+    Object.keys(_keys).forEach((key) => delete tezosMetadata[key]);
+    Object.assign(tezosMetadata, saved);
+  });
+};
+
+test("every network of constants/network.js has a formatter", () => {
+  Object.values(NETWORK).forEach((network) =>
+    assert.equal(typeof getFormatter(network), "function")
+  );
+  assert.equal(hasFormatter("btc"), false);
+  assert.equal(hasFormatter("../config"), false);
+  assert.throws(
+    () => getFormatter("btc"),
+    /No metadata formatter for network "btc"/
+  );
+});
+
+test("only networks linking uploaded files have URI fields", () => {
+  assert.equal(getUriFields("sol"), null);
+  assert.deepStrictEqual(Object.keys(getUriFields("tez")), [
+    "getUris",
+    "setUris",
+  ]);
+});
+
+test("tez metadata follows TZIP-21 and splits the royalties", (t) => {
+  withOutputs(t, [{ folder: "images", format: "png" }]);
+  withTezos(t, {
+    royalties: 1000,
+    creators: [
+      { address: "tz1a", share: 75 },
+      { address: "tz1b", share: 25 },
+    ],
+    tags: ["dove"],
+  });
+  const metadata = tez.formatMetadata(EDITION);
+  assert.equal(metadata.artifactUri, `${baseUri}/3.png`);
+  assert.equal(metadata.displayUri, `${baseUri}/3.png`);
+  assert.equal(metadata.thumbnailUri, `${baseUri}/3.png`);
+  assert.deepStrictEqual(metadata.creators, ["tz1a", "tz1b"]);
+  assert.deepStrictEqual(metadata.royalties, {
+    decimals: 4,
+    shares: { tz1a: 750, tz1b: 250 },
+  });
+  assert.deepStrictEqual(metadata.attributes, [
+    { name: "Eyes", value: "open" },
+    { name: "Level", value: "3", type: "number" },
+  ]);
+  assert.deepStrictEqual(metadata.tags, ["dove"]);
+  assert.equal(metadata.date, "1970-01-01T00:00:00.000Z");
+});
+
+test("tez URIs follow the outputs, the thumbnail output included", (t) => {
+  withOutputs(t, [
+    { folder: "images", format: "png" },
+    { folder: "previews", format: "jpeg", width: 4, baseUri: "ipfs://p" },
+    { folder: "large", format: "webp", width: 2000 },
+  ]);
+  withTezos(t, { thumbnailOutput: "previews" });
+  const metadata = tez.formatMetadata(EDITION);
+  assert.equal(metadata.thumbnailUri, "ipfs://p/3.jpg");
+  // outputs that are neither primary, thumbnail nor addToFiles are left out
+  assert.deepStrictEqual(
+    metadata.formats.map((format) => format.uri),
+    [`${baseUri}/3.png`, "ipfs://p/3.jpg"]
+  );
+  assert.deepStrictEqual(tez.getUris(metadata), {
+    images: `${baseUri}/3.png`,
+    previews: "ipfs://p/3.jpg",
+  });
+  tez.setUris(metadata, {
+    images: "ipfs://new/3.png",
+    previews: "ipfs://new/3.jpg",
+  });
+  assert.equal(metadata.artifactUri, "ipfs://new/3.png");
+  assert.equal(metadata.displayUri, "ipfs://new/3.png");
+  assert.equal(metadata.thumbnailUri, "ipfs://new/3.jpg");
+  assert.deepStrictEqual(tez.getUris(metadata), {
+    images: "ipfs://new/3.png",
+    previews: "ipfs://new/3.jpg",
+  });
+});
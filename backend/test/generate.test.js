@@ -0,0 +1,118 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  skipWithoutCanvas,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const LAYERS = {
+  Background: ["blue#10.png", "red#10.png", "green#10.png"],
+  Eyes: ["open#10.png", "closed#10.png", "laser#2.png"],
+  Beak: ["gold.png", "red.png"],
+};
+const LAYERS_ORDER = [
+  { name: "Background" },
+  { name: "Eyes" },
+  { name: "Beak" },
+];
+
+const createTestProject = (_t, _config = {}) => {
+  const project = createProject(LAYERS, {
+    layerConfigurations: [{ growEditionSizeTo: 12, layersOrder: LAYERS_ORDER }],
+    ..._config,
+  });
+  _t.after(() => removeProject(project));
+  return project;
+};
+
+const writeConfig = (_project, _config) =>
+  fs.writeFileSync(
+    `${_project.profileDir}/config.json`,
+    JSON.stringify(_config)
+  );
+
+test(
+  "a config problem under --clean leaves the previous collection alone",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createTestProject(t);
+    assert.equal(runCli(project, ["generate", "--seed", "dove"]).status, 0);
+    const metadata = fs.readFileSync(`${project.buildDir}/json/_metadata.json`);
+    writeConfig(project, {
+      ...JSON.parse(
+        fs.readFileSync(`${project.profileDir}/config.json`, "utf8")
+      ),
+      layerConfigurations: [
+        {
+          growEditionSizeTo: 12,
+          layersOrder: LAYERS_ORDER,
+          rules: [
+            {
+              layer: "Eyes",
+              element: "wide",
+              excludes: { layer: "Beak", element: "gold" },
+            },
+          ],
+        },
+      ],
+    });
+    for (const flag of ["--clean", "--clean-all"]) {
+      const { status, output } = runCli(project, ["generate", flag]);
+      assert.equal(status, 1, output);
+      assert.match(output, /unknown element "wide"/);
+      assert.deepStrictEqual(
+        fs.readFileSync(`${project.buildDir}/json/_metadata.json`),
+        metadata
+      );
+    }
+  }
+);
+
+test(
+  "--resume finishes the collection an uninterrupted run creates",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const args = ["generate", "--seed", "dove", "--date", "1"];
+    const expected = createTestProject(t);
+    assert.equal(runCli(expected, args).status, 0);
+
+    // a layer image that can not be decoded stops the run on its first use
+    const project = createTestProject(t);
+    const laser = `${project.profileDir}/layers/Eyes/laser#2.png`;
+    fs.writeFileSync(laser, "broken");
+    const stopped = runCli(project, args);
+    assert.notEqual(stopped.status, 0, stopped.output);
+    assert.ok(fs.existsSync(`${project.buildDir}/_checkpoint.jsonl`));
+
+    fs.writeFileSync(
+      laser,
+      fs.readFileSync(`${expected.profileDir}/layers/Eyes/laser#2.png`)
+    );
+    const resumed = runCli(project, ["generate", "--resume"]);
+    assert.equal(resumed.status, 0, resumed.output);
+    for (const file of ["json/_metadata.json", "_dna.json"]) {
+      assert.deepStrictEqual(
+        readBuildJson(project, file),
+        readBuildJson(expected, file)
+      );
+    }
+    assert.ok(!fs.existsSync(`${project.buildDir}/_checkpoint.jsonl`));
+  }
+);
+
+test(
+  "generate refuses to overwrite a collection without --clean or --resume",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createTestProject(t);
+    assert.equal(runCli(project, ["generate"]).status, 0);
+    const { status, output } = runCli(project, ["generate"]);
+    assert.equal(status, 1);
+    assert.match(output, /Run with --clean to start over/);
+  }
+);
@@ -0,0 +1,201 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { spawnSync } = require("child_process");
+
+// what a test project links from the backend, its profile brings the rest
+const BACKEND_ENTRIES = [
+  "constants",
+  "modules",
+  "src",
+  "utils",
+  "index.js",
+  "package.json",
+  "node_modules",
+];
+const PROFILE = "test";
+
+// generating needs the native canvas build, unit tests do not
+const hasCanvas = (() => {
+  try {
+    require(`${basePath}/node_modules/canvas`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+const skipWithoutCanvas = hasCanvas ? false : "canvas is not built";
+
+/**
+ * Builds layers shaped like the ones of layersSetup in src/main.js, without
+ * reading a layers folder.
+ *
+ * @param {Object} _spec Layer name => element names with an optional weight
+ * like in file names, eg. ["gold#5", "red"], or {elements, ...options} to set
+ * options such as bypassDNA, quota or linkedTo
+ * @returns {Array} Layers
+ */
+const createLayers = (_spec) =>
+  Object.entries(_spec).map(([name, value], layerIndex) => {
+    const { elements, ...options } = Array.isArray(value)
+      ? { elements: value }
+      : value;
+    return {
+      id: layerIndex,
+      folder: name,
+      name,
+      blend: "source-over",
+      opacity: 1,
+      bypassDNA: false,
+      hidden: false,
+      absentAttribute: "omit",
+      traits: {},
+      ...options,
+      elements: elements.map((element, id) => {
+        const [elementName, weight] = element.split("#");
+        return {
+          id,
+          name: elementName,
+          filename: `${element}.png`,
+          path: `${name}/${element}.png`,
+          weight: weight != undefined ? Number(weight) : 1,
+        };
+      }),
+    };
+  });
+
+const CRC_TABLE = [...Array(256).keys()].map((n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (_buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of _buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (_type, _data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(_data.length);
+  const body = Buffer.concat([Buffer.from(_type, "ascii"), _data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Encodes a PNG of a single color, so test layers need no image library.
+ *
+ * @param {Array} _rgba Red, green, blue and alpha, 0 to 255
+ * @param {Number} _size Width and height in pixels
+ * @returns {Buffer} PNG file
+ */
+const createPng = (_rgba, _size = 8) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(_size, 0);
+  header.writeUInt32BE(_size, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+  const row = Buffer.from([0, ...Array(_size).fill(_rgba).flat()]);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(Buffer.concat(Array(_size).fill(row)))),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+/**
+ * Creates a backend in a temporary folder to run the CLI on: the code is
+ * linked from this backend, the config, layers and build folder belong to a
+ * "test" profile. Every element gets its own color.
+ *
+ * @param {Object} _layers Layer folder => element file names, eg.
+ * { Eyes: ["open#10.png", "closed#1.png"] }
+ * @param {Object} _config Config keys that differ from src/config.js
+ * @returns {{dir, profileDir, buildDir}} Paths of the project
+ */
+const createProject = (_layers, _config) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "minter-test-"));
+  BACKEND_ENTRIES.forEach((entry) =>
+    fs.symlinkSync(`${basePath}/${entry}`, `${dir}/${entry}`)
+  );
+  const profileDir = `${dir}/profiles/${PROFILE}`;
+  let color = 0;
+  Object.entries(_layers).forEach(([layer, files]) => {
+    files.forEach((file) => {
+      const filePath = `${profileDir}/layers/${layer}/${file}`;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      color++;
+      fs.writeFileSync(
+        filePath,
+        createPng([
+          (color * 97) % 256,
+          (color * 57) % 256,
+          (color * 31) % 256,
+          255,
+        ])
+      );
+    });
+  });
+  fs.writeFileSync(
+    `${profileDir}/config.json`,
+    JSON.stringify({
+      format: { width: 8, height: 8, smoothing: false },
+      ..._config,
+    })
+  );
+  return { dir, profileDir, buildDir: `${profileDir}/build` };
+};
+
+const removeProject = (_project) =>
+  fs.rmSync(_project.dir, { recursive: true, force: true });
+
+/**
+ * Runs `node index.js --profile test ...` in a project from createProject.
+ *
+ * @returns {{status: Number, output: String}} Exit code, stdout and stderr
+ */
+const runCli = (_project, _args) => {
+  const result = spawnSync(
+    process.execPath,
+    ["index.js", "--profile", PROFILE, ..._args],
+    { cwd: _project.dir, encoding: "utf8", timeout: 120000 }
+  );
+  return {
+    status: result.status,
+    output: `${result.stdout}${result.stderr}`,
+  };
+};
+
+// outputs.js keeps the outputs list of src/config.js, so its entries are
+// swapped and put back after the test
+const withOutputs = (_t, _outputs) => {
+  const { outputs } = require(`${basePath}/src/config.js`);
+  const saved = [...outputs];
+  outputs.splice(0, outputs.length, ..._outputs);
+  _t.after(() => outputs.splice(0, outputs.length, ...saved));
+};
+
+// a JSON file of the build folder
+const readBuildJson = (_project, _file) =>
+  JSON.parse(fs.readFileSync(`${_project.buildDir}/${_file}`, "utf8"));
+
+module.exports = {
+  hasCanvas,
+  skipWithoutCanvas,
+  createLayers,
+  withOutputs,
+  createPng,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+};
@@ -0,0 +1,53 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const ImageCache = require(`${basePath}/modules/ImageCache.js`);
+
+// an image of _size x _size pixels, 4 bytes each
+const image = (_size) => ({ width: _size, height: _size });
+
+test("ImageCache loads every key once", async () => {
+  const cache = new ImageCache(1024);
+  let loads = 0;
+  const load = async () => {
+    loads++;
+    return image(4);
+  };
+  const [first, second] = await Promise.all([
+    cache.get("gold.png", load),
+    cache.get("gold.png", load),
+  ]);
+  assert.equal(first, second);
+  assert.equal(loads, 1);
+  assert.equal(cache.bytes, 64);
+  assert.equal(
+    cache.stats(),
+    "1 hits, 1 misses (50.0% hit rate), 0.0 MB in 1 images"
+  );
+});
+
+test("ImageCache evicts the least recently used images", async () => {
+  // room for two 8 x 8 images
+  const cache = new ImageCache(512);
+  await cache.get("a", async () => image(8));
+  await cache.get("b", async () => image(8));
+  await cache.get("a", async () => image(8));
+  await cache.get("c", async () => image(8));
+  assert.deepStrictEqual([...cache.entries.keys()], ["a", "c"]);
+  assert.equal(cache.bytes, 512);
+});
+
+test("ImageCache tries a failed load again", async () => {
+  const cache = new ImageCache(1024);
+  await assert.rejects(
+    cache.get("broken.png", async () => {
+      throw new Error("Unsupported image type");
+    }),
+    /Unsupported image type/
+  );
+  assert.equal(cache.entries.size, 0);
+  assert.deepStrictEqual(
+    await cache.get("broken.png", async () => image(2)),
+    image(2)
+  );
+});
@@ -0,0 +1,116 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const { placeLegendaries } = require(`${basePath}/src/legendaries.js`);
+const { createRandom } = require(`${basePath}/src/random.js`);
+const {
+  skipWithoutCanvas,
+  createPng,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+test("placeLegendaries takes fixed editions out of the shuffled ones", () => {
+  // 6 is past the 5 editions the collection uses, so it is swapped in
+  const { placements, abstractedIndexes } = placeLegendaries(
+    [
+      { file: "dragon.png", edition: 2 },
+      { file: "phoenix.png", edition: 6 },
+    ],
+    [4, 2, 0, 3, 1, 5, 6],
+    5,
+    createRandom("dove")
+  );
+  assert.deepStrictEqual(placements, [
+    { edition: 2, file: "dragon.png" },
+    { edition: 6, file: "phoenix.png" },
+  ]);
+  assert.deepStrictEqual(abstractedIndexes, [4, 0, 3, 5, 1]);
+});
+
+test("placeLegendaries gives the others a used edition", () => {
+  const indexes = [4, 2, 0, 3, 1, 5, 6];
+  for (const seed of ["a", "b", "c", "d"]) {
+    const { placements, abstractedIndexes } = placeLegendaries(
+      [{ file: "dragon.png" }, { file: "phoenix.png" }],
+      indexes,
+      5,
+      createRandom(seed)
+    );
+    placements.forEach(({ edition }) =>
+      assert.ok(indexes.slice(0, 5).includes(edition))
+    );
+    assert.deepStrictEqual(
+      [...abstractedIndexes, ...placements.map((p) => p.edition)].sort(),
+      [...indexes].sort()
+    );
+  }
+});
+
+const createLegendaryProject = (_t, _sidecars) => {
+  const project = createProject(
+    { Background: ["blue.png", "red.png"], Eyes: ["open.png", "closed.png"] },
+    {
+      layerConfigurations: [
+        {
+          growEditionSizeTo: 4,
+          layersOrder: [{ name: "Background" }, { name: "Eyes" }],
+        },
+      ],
+    }
+  );
+  _t.after(() => removeProject(project));
+  const dir = `${project.profileDir}/legendaries`;
+  fs.mkdirSync(dir);
+  Object.entries(_sidecars).forEach(([name, sidecar]) => {
+    fs.writeFileSync(`${dir}/${name}.png`, createPng([255, 215, 0, 255]));
+    if (sidecar) {
+      fs.writeFileSync(`${dir}/${name}.json`, JSON.stringify(sidecar));
+    }
+  });
+  return project;
+};
+
+test(
+  "legendaries replace generated editions",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createLegendaryProject(t, {
+      dragon: {
+        edition: 2,
+        name: "The Dragon",
+        attributes: [{ trait_type: "Kind", value: "Dragon" }],
+      },
+      phoenix: null,
+    });
+    const { status, output } = runCli(project, ["generate", "--seed", "dove"]);
+    assert.equal(status, 0, output);
+    const metadata = readBuildJson(project, "json/_metadata.json");
+    assert.equal(metadata.length, 4);
+    assert.equal(new Set(metadata.map((m) => m.edition)).size, 4);
+    const legendaries = metadata.filter((m) => m.legendary);
+    assert.equal(legendaries.length, 2);
+    const dragon = metadata.find((m) => m.edition == 2);
+    assert.equal(dragon.name, "The Dragon");
+    assert.deepStrictEqual(dragon.attributes, [
+      { trait_type: "Kind", value: "Dragon" },
+    ]);
+  }
+);
+
+test(
+  "a legendary edition outside of the collection is an error",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createLegendaryProject(t, { dragon: { edition: 40 } });
+    const { status, output } = runCli(project, ["generate"]);
+    assert.equal(status, 1);
+    assert.match(
+      output,
+      /Legendary "dragon.png": edition 40 is outside of the collection/
+    );
+  }
+);
@@ -0,0 +1,126 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const crypto = require("crypto");
+const test = require("node:test");
+const assert = require("node:assert");
+const { CLI_ENV } = require(`${basePath}/constants/cli.js`);
+const {
+  setJsonLogs,
+  logEvent,
+  showProgress,
+} = require(`${basePath}/src/log.js`);
+const {
+  createProgress,
+  formatDuration,
+} = require(`${basePath}/src/progress.js`);
+const {
+  skipWithoutCanvas,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+// lines logged while the test runs, --json-logs is switched off after it
+const captureLogs = (_t) => {
+  const lines = [];
+  _t.mock.method(console, "log", (_line) => lines.push(_line));
+  _t.after(() => setJsonLogs(false));
+  return lines;
+};
+
+test("logEvent logs text, or JSON with --json-logs", (t) => {
+  const lines = captureLogs(t);
+  logEvent("edition", { edition: 3 }, "Created edition: 3");
+  // events without text only show up in JSON
+  logEvent("collision", { edition: 3 });
+  setJsonLogs(true);
+  assert.equal(process.env[CLI_ENV.jsonLogs], "1");
+  logEvent("collision", { edition: 3 });
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0], "Created edition: 3");
+  const { time, ...event } = JSON.parse(lines[1]);
+  assert.ok(!isNaN(Date.parse(time)));
+  assert.deepStrictEqual(event, { event: "collision", edition: 3 });
+  setJsonLogs(false);
+  assert.equal(process.env[CLI_ENV.jsonLogs], "");
+});
+
+test("progress is a line of text or a progress event", (t) => {
+  const lines = captureLogs(t);
+  // the test runner does not log to a terminal
+  const progress = createProgress(4, 2);
+  progress.show(3);
+  assert.equal(
+    lines[0],
+    "[##########..........] 2/4 (50%) | 0.0 editions/s | ETA - | 3 collisions"
+  );
+  setJsonLogs(true);
+  showProgress("2/4", { done: 2, total: 4 });
+  assert.equal(JSON.parse(lines[1]).done, 2);
+  assert.equal(JSON.parse(lines[1]).event, "progress");
+});
+
+test("formatDuration rounds to the two largest units", () => {
+  assert.equal(formatDuration(4.6), "5s");
+  assert.equal(formatDuration(65), "1m 05s");
+  assert.equal(formatDuration(3 * 3600 + 7 * 60 + 59), "3h 07m");
+});
+
+test(
+  "generate logs JSON events and writes a report of the build",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      { Eyes: ["open.png", "closed.png"], Beak: ["gold.png", "red.png"] },
+      {
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 3,
+            layersOrder: [{ name: "Eyes" }, { name: "Beak" }],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const { status, output } = runCli(project, [
+      "generate",
+      "--json-logs",
+      "--seed",
+      "dove",
+    ]);
+    assert.equal(status, 0, output);
+    const events = output
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    const names = events.map((event) => event.event);
+    assert.equal(names.filter((name) => name == "edition").length, 3);
+    ["seed", "start", "done"].forEach((name) =>
+      assert.ok(names.includes(name), names.join(", "))
+    );
+
+    const report = readBuildJson(project, "report.json");
+    assert.equal(report.seed, "dove");
+    assert.equal(report.editions, 3);
+    assert.equal(
+      Object.values(report.traits.Eyes).reduce((sum, n) => sum + n, 0),
+      3
+    );
+    const sha256 = (_file) =>
+      crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(`${project.buildDir}/${_file}`))
+        .digest("hex");
+    readBuildJson(project, "json/_metadata.json").forEach(({ edition }) => {
+      assert.equal(
+        report.files[`images/${edition}.png`],
+        sha256(`images/${edition}.png`)
+      );
+      assert.equal(
+        report.files[`json/${edition}.json`],
+        sha256(`json/${edition}.json`)
+      );
+    });
+  }
+);
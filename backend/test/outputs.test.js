@@ -0,0 +1,129 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require(`${basePath}/src/config.js`);
+const { getOutputs, getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+const eth = require(`${basePath}/src/formatters/eth.js`);
+const { validateConfig } = require(`${basePath}/src/validateConfig.js`);
+const {
+  skipWithoutCanvas,
+  withOutputs,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const OUTPUTS = [
+  { folder: "images", format: "png" },
+  {
+    folder: "thumbnails",
+    format: "jpeg",
+    width: 500,
+    quality: 80,
+    addToFiles: true,
+    baseUri: "ipfs://thumbnails",
+  },
+];
+
+test("getOutputs fills in the defaults of every output", (t) => {
+  withOutputs(t, OUTPUTS);
+  const [images, thumbnails] = getOutputs();
+  assert.deepStrictEqual(images, {
+    folder: "images",
+    format: "png",
+    extension: "png",
+    type: "image/png",
+    width: config.format.width,
+    height: config.format.height,
+    quality: 100,
+    primary: true,
+    addToFiles: false,
+    baseUri: config.baseUri,
+  });
+  assert.equal(thumbnails.extension, "jpg");
+  assert.equal(
+    thumbnails.height,
+    Math.round((config.format.height / config.format.width) * 500)
+  );
+  assert.equal(thumbnails.primary, false);
+});
+
+test("getPrimaryOutput is the output marked primary", (t) => {
+  withOutputs(t, [OUTPUTS[0], { ...OUTPUTS[1], primary: true }]);
+  assert.equal(getPrimaryOutput().folder, "thumbnails");
+});
+
+test("eth metadata links the primary output and the addToFiles outputs", (t) => {
+  withOutputs(t, OUTPUTS);
+  const metadata = eth.formatMetadata({
+    name: "Dove #3",
+    edition: 3,
+    attributes: [],
+  });
+  assert.equal(metadata.image, `${config.baseUri}/3.png`);
+  assert.deepStrictEqual(metadata.properties.files, [
+    { uri: "ipfs://thumbnails/3.jpg", type: "image/jpeg" },
+  ]);
+  assert.deepStrictEqual(eth.getUris(metadata), {
+    images: `${config.baseUri}/3.png`,
+    thumbnails: "ipfs://thumbnails/3.jpg",
+  });
+  eth.setUris(metadata, {
+    images: "https://a/3.png",
+    thumbnails: "https://b/3.jpg",
+  });
+  assert.equal(metadata.image, "https://a/3.png");
+  assert.equal(metadata.properties.files[0].uri, "https://b/3.jpg");
+});
+
+test("validateConfig checks the outputs", (t) => {
+  const saved = config.outputs;
+  config.outputs = [
+    { folder: "images", format: "gif" },
+    { folder: "json", primary: true },
+    { folder: "images", width: 10.5, primary: true },
+  ];
+  t.after(() => (config.outputs = saved));
+  assert.deepStrictEqual(
+    validateConfig().map((error) => `${error.key}: ${error.message}`),
+    [
+      'outputs[0].format: "gif" is not one of png, jpeg, webp',
+      'outputs[1].folder: "json" is already used by the build folder',
+      'outputs[2].folder: "images" is the folder of another output',
+      "outputs[2].width: 10.5 is not a whole number of pixels",
+      "outputs: only one output can be primary",
+    ]
+  );
+});
+
+test("generate writes every output", { skip: skipWithoutCanvas }, (t) => {
+  const project = createProject(
+    { Background: ["blue.png", "red.png"], Eyes: ["open.png", "closed.png"] },
+    {
+      outputs: [
+        { folder: "images", format: "png" },
+        { folder: "thumbnails", format: "jpeg", width: 4, addToFiles: true },
+      ],
+      layerConfigurations: [
+        {
+          growEditionSizeTo: 3,
+          layersOrder: [{ name: "Background" }, { name: "Eyes" }],
+        },
+      ],
+    }
+  );
+  t.after(() => removeProject(project));
+  const { status, output } = runCli(project, ["generate"]);
+  assert.equal(status, 0, output);
+  readBuildJson(project, "json/_metadata.json").forEach((metadata) => {
+    assert.ok(
+      fs.existsSync(`${project.buildDir}/images/${metadata.edition}.png`)
+    );
+    assert.ok(
+      fs.existsSync(`${project.buildDir}/thumbnails/${metadata.edition}.jpg`)
+    );
+    assert.equal(metadata.properties.files[0].type, "image/jpeg");
+  });
+});
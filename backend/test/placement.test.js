@@ -0,0 +1,93 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  checkPlacement,
+  getPlacement,
+  rollJitter,
+  encodeJitter,
+  decodeJitter,
+  applyJitter,
+} = require(`${basePath}/src/placement.js`);
+const { createRandom } = require(`${basePath}/src/random.js`);
+
+test("getPlacement is null for elements stretched over the canvas", () => {
+  assert.equal(getPlacement({}, {}), null);
+});
+
+test("getPlacement lets the element sidecar win over the layer", () => {
+  const placement = getPlacement(
+    { placement: { x: 10, y: 20, anchor: { x: 0.5 }, jitter: { x: 5 } } },
+    { placement: { y: 30, anchor: { y: 1 }, jitter: { rotation: 2 } } }
+  );
+  assert.deepStrictEqual(placement, {
+    x: 10,
+    y: 30,
+    scale: 1,
+    rotation: 0,
+    anchor: { x: 0.5, y: 1 },
+    jitter: { x: 5, rotation: 2 },
+  });
+});
+
+test("rollJitter stays in its range and survives the DNA", () => {
+  const placement = getPlacement(
+    { placement: { jitter: { x: 20, y: 10, scale: 0.2, rotation: 5 } } },
+    {}
+  );
+  const random = createRandom("jitter");
+  for (let i = 0; i < 50; i++) {
+    const offsets = rollJitter(placement, random);
+    const [x, y, scale, rotation] = offsets;
+    assert.ok(Math.abs(x) <= 20 && Number.isInteger(x));
+    assert.ok(Math.abs(y) <= 10 && Number.isInteger(y));
+    assert.ok(Math.abs(scale) <= 0.2);
+    assert.ok(Math.abs(rotation) <= 5);
+    const dnaPart = `3:beak.png${encodeJitter(offsets)}?bypassDNA=true`;
+    assert.ok(!dnaPart.split("?")[0].includes("-"));
+    // a rounded -0 comes back as 0
+    assert.deepEqual(decodeJitter(dnaPart), offsets);
+  }
+});
+
+test("encodeJitter leaves DNA without jitter as it was", () => {
+  assert.equal(encodeJitter([0, 0, 0, 0]), "");
+  assert.deepStrictEqual(decodeJitter("3:beak.png"), [0, 0, 0, 0]);
+  assert.equal(
+    rollJitter(getPlacement({ placement: { x: 1 } }, {}), Math.random).join(),
+    "0,0,0,0"
+  );
+});
+
+test("applyJitter offsets the placement", () => {
+  const placement = getPlacement({ placement: { x: 100, y: 50 } }, {});
+  assert.deepStrictEqual(applyJitter(placement, [-3, 4, 0.1, -2]), {
+    ...placement,
+    x: 97,
+    y: 54,
+    scale: 1.1,
+    rotation: -2,
+  });
+  assert.equal(applyJitter(null, [1, 1, 0, 0]), null);
+});
+
+test("checkPlacement lists every problem", () => {
+  assert.deepStrictEqual(checkPlacement({ x: 1, anchor: { x: 0.5 } }), []);
+  assert.deepStrictEqual(
+    checkPlacement({
+      x: "1",
+      scale: 0,
+      size: 2,
+      anchor: { z: 1 },
+      jitter: { x: -1, blur: 1 },
+    }),
+    [
+      'placement has no option "size"',
+      'placement x must be a number, got "1"',
+      'placement scale must be a number above 0, got "0"',
+      'placement anchor has no option "z"',
+      'placement jitter x must be a number from 0 up, got "-1"',
+      'placement jitter has no option "blur", use x, y, scale, rotation',
+    ]
+  );
+});
@@ -0,0 +1,63 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  skipWithoutCanvas,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+test(
+  "layers that are never or always present, in the metadata and the rarity chart",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      {
+        Background: ["blue.png", "red.png", "green.png", "pink.png"],
+        Hand: ["left#2.png", "right#2.png"],
+        Beak: ["gold.png", "red.png"],
+      },
+      {
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 6,
+            layersOrder: [
+              { name: "Background" },
+              {
+                name: "Hand",
+                options: { presence: 0, absentAttribute: "none" },
+              },
+              {
+                name: "Beak",
+                options: { presence: 1, absentAttribute: "none" },
+              },
+            ],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const generate = runCli(project, ["generate"]);
+    assert.equal(generate.status, 0, generate.output);
+    readBuildJson(project, "json/_metadata.json").forEach((metadata) => {
+      const value = (_traitType) =>
+        metadata.attributes.find(
+          (attribute) => attribute.trait_type == _traitType
+        ).value;
+      assert.equal(value("Hand"), "None");
+      assert.notEqual(value("Beak"), "None");
+    });
+
+    const { status, output } = runCli(project, ["rarity"]);
+    assert.equal(status, 0, output);
+    const [hand, beak] = output.split("Trait type: ").slice(2);
+    assert.match(hand, /trait: 'left', chance: '0'/);
+    assert.match(
+      hand,
+      /trait: 'None', chance: '4', occurrence: '100% out of 100%'/
+    );
+    assert.match(beak, /trait: 'None', chance: '0', occurrence: '0% out/);
+  }
+);
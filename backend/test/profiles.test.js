@@ -0,0 +1,125 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const defaults = require(`${basePath}/src/config.js`);
+const { loadDataConfig } = require(`${basePath}/src/useConfig.js`);
+const {
+  createPng,
+  createProject,
+  removeProject,
+  runCli,
+} = require(`${basePath}/test/helpers.js`);
+
+// a config file in a temporary folder
+const writeConfig = (_t, _file, _content) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "minter-config-"));
+  _t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(`${dir}/${_file}`, _content);
+  return `${dir}/${_file}`;
+};
+
+test("a data config derives the keys it does not set again", (t) => {
+  const config = loadDataConfig(
+    writeConfig(
+      t,
+      "config.yaml",
+      "CONTRACT_NAME: Doves\nformat:\n  width: 100\n  height: 50\n"
+    ),
+    defaults
+  );
+  assert.equal(config.GENERIC_TITLE, "Doves");
+  assert.equal(config.preview.imageRatio, 0.5);
+  // everything else comes from src/config.js
+  assert.equal(config.namePrefix, defaults.namePrefix);
+
+  const own = loadDataConfig(
+    writeConfig(
+      t,
+      "config.json",
+      JSON.stringify({
+        CONTRACT_NAME: "Doves",
+        GENERIC_TITLE: "Soon",
+        preview: { ...defaults.preview, imageRatio: 2 },
+      })
+    ),
+    defaults
+  );
+  assert.equal(own.GENERIC_TITLE, "Soon");
+  assert.equal(own.preview.imageRatio, 2);
+});
+
+// index.js of a project with another profile than the one of createProject
+const runProfile = (_project, _profile, _args) => {
+  const result = spawnSync(
+    process.execPath,
+    ["index.js", "--profile", _profile, ..._args],
+    { cwd: _project.dir, encoding: "utf8", timeout: 120000 }
+  );
+  return {
+    status: result.status,
+    output: `${result.stdout}${result.stderr}`,
+  };
+};
+
+test("--profile picks the config, layers and build folder of a profile", (t) => {
+  const project = createProject(
+    { Eyes: ["open.png"] },
+    {
+      layerConfigurations: [
+        { growEditionSizeTo: 1, layersOrder: [{ name: "Eyes" }] },
+      ],
+    }
+  );
+  t.after(() => removeProject(project));
+  const halloweenDir = `${path.dirname(project.profileDir)}/halloween`;
+  fs.mkdirSync(`${halloweenDir}/layers/Pumpkin`, { recursive: true });
+
+  const unknown = runProfile(project, "winter", ["solana", "--validate"]);
+  assert.equal(unknown.status, 1, unknown.output);
+  assert.match(
+    unknown.output,
+    /Profile "winter" not found, create profiles\/winter or use one of: halloween, test/
+  );
+  const withoutConfig = runProfile(project, "halloween", [
+    "solana",
+    "--validate",
+  ]);
+  assert.equal(withoutConfig.status, 1, withoutConfig.output);
+  assert.match(
+    withoutConfig.output,
+    /Profile "halloween" has no config, add one of config\.js, config\.json/
+  );
+
+  fs.writeFileSync(
+    `${halloweenDir}/layers/Pumpkin/carved.png`,
+    createPng([255, 128, 0, 255])
+  );
+  fs.writeFileSync(
+    `${halloweenDir}/config.yaml`,
+    [
+      "format: { width: 8, height: 8, smoothing: false }",
+      "layerConfigurations:",
+      "  - growEditionSizeTo: 1",
+      "    layersOrder: [{ name: Pumpkin }]",
+    ].join("\n")
+  );
+  // the layers of the test profile have no Pumpkin, these of halloween do
+  const halloween = runProfile(project, "halloween", ["solana", "--validate"]);
+  assert.equal(halloween.status, 1, halloween.output);
+  assert.doesNotMatch(halloween.output, /problem\(s\) in src\/config\.js/);
+  assert.ok(
+    halloween.output.includes(`${halloweenDir}/build/assets does not exist`),
+    halloween.output
+  );
+
+  const profiles = runCli(project, ["profiles"]);
+  assert.equal(profiles.status, 0, profiles.output);
+  assert.equal(
+    profiles.output,
+    "halloween - config.yaml\ntest - config.json\n"
+  );
+});
@@ -0,0 +1,128 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  checkQuotas,
+  getQuotaWeight,
+  consumeQuotas,
+} = require(`${basePath}/src/quotas.js`);
+const { compileRules } = require(`${basePath}/src/rules.js`);
+const {
+  skipWithoutCanvas,
+  createLayers,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+test("percentages become counts that add up to the editions", () => {
+  const layers = createLayers({
+    Background: ["blue", "red", "green", "black"],
+    Eyes: {
+      quota: "percent",
+      elements: ["open#33.3", "closed#33.3", "laser#33.4"],
+    },
+  });
+  const { quotas, errors } = checkQuotas(layers, [], 10);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(quotas, [null, { 0: 3, 1: 3, 2: 4 }]);
+});
+
+test("checkQuotas rejects counts that do not add up", () => {
+  const layers = createLayers({
+    Eyes: { quota: "count", elements: ["open#6", "closed#3"] },
+    Beak: { quota: "percent", elements: ["gold#50", "red#40"] },
+  });
+  assert.deepStrictEqual(checkQuotas(layers, [], 10).errors, [
+    'Layer "Eyes": quota counts add up to 9 but the layer configuration creates 10 editions',
+    'Layer "Beak": quota percentages add up to 90% instead of 100%',
+  ]);
+});
+
+test("checkQuotas rejects an element with fewer combinations than its count", () => {
+  const layers = createLayers({
+    Eyes: { quota: "count", elements: ["open#1", "laser#3"] },
+    Beak: ["gold", "red"],
+  });
+  assert.deepStrictEqual(checkQuotas(layers, [], 4).errors, [
+    'Layer "Eyes": element "laser" needs 3 editions but only 2 unique combinations include it',
+  ]);
+});
+
+test("checkQuotas rejects two quota layers the rules keep apart", () => {
+  const layers = createLayers({
+    Background: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+    Eyes: { quota: "count", elements: ["laser#5", "open#5"] },
+    Beak: { quota: "count", elements: ["gold#8", "red#2"] },
+  });
+  const { rules } = compileRules(
+    [
+      {
+        layer: "Eyes",
+        element: "laser",
+        excludes: { layer: "Beak", element: "gold" },
+      },
+    ],
+    layers
+  );
+  const { errors } = checkQuotas(layers, rules, 10);
+  assert.equal(errors.length, 1);
+  assert.match(
+    errors[0],
+    /^Layers "Eyes" and "Beak": the rules only let 7 of 10 editions meet both quotas/
+  );
+});
+
+test("picked elements use up their quota", () => {
+  const layers = createLayers({
+    Eyes: { quota: "count", elements: ["open#1", "laser#2"] },
+    Beak: ["gold#7", "red"],
+  });
+  const { quotas } = checkQuotas(layers, [], 3);
+  assert.equal(getQuotaWeight(quotas, 0, layers[0].elements[1]), 2);
+  assert.equal(getQuotaWeight(quotas, 1, layers[1].elements[0]), 7);
+  consumeQuotas(quotas, [
+    { selectedElement: layers[0].elements[1] },
+    { selectedElement: layers[1].elements[0] },
+  ]);
+  assert.equal(getQuotaWeight(quotas, 0, layers[0].elements[1]), 1);
+});
+
+test("generate meets every quota exactly", { skip: skipWithoutCanvas }, (t) => {
+  const project = createProject(
+    {
+      Background: ["blue#6.png", "red#3.png", "green#1.png"],
+      Eyes: [
+        "open.png",
+        "closed.png",
+        "laser.png",
+        "wide.png",
+        "half.png",
+        "sleepy.png",
+      ],
+    },
+    {
+      layerConfigurations: [
+        {
+          growEditionSizeTo: 10,
+          layersOrder: [
+            { name: "Background", options: { quota: "count" } },
+            { name: "Eyes" },
+          ],
+        },
+      ],
+    }
+  );
+  t.after(() => removeProject(project));
+  const { status, output } = runCli(project, ["generate", "--seed", "dove"]);
+  assert.equal(status, 0, output);
+  const counts = {};
+  readBuildJson(project, "json/_metadata.json").forEach((metadata) => {
+    const { value } = metadata.attributes.find(
+      (a) => a.trait_type == "Background"
+    );
+    counts[value] = (counts[value] ?? 0) + 1;
+  });
+  assert.deepStrictEqual(counts, { blue: 6, red: 3, green: 1 });
+});
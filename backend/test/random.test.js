@@ -0,0 +1,84 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRandom } = require(`${basePath}/src/random.js`);
+const {
+  skipWithoutCanvas,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const take = (_random, _count) => Array.from({ length: _count }, _random);
+
+test("createRandom repeats the sequence of a seed", () => {
+  assert.deepStrictEqual(
+    take(createRandom("dove"), 5),
+    take(createRandom("dove"), 5)
+  );
+  assert.notDeepStrictEqual(
+    take(createRandom("dove"), 5),
+    take(createRandom("peace"), 5)
+  );
+});
+
+test("createRandom continues from a saved state", () => {
+  const random = createRandom("dove");
+  take(random, 3);
+  const resumed = createRandom("dove", random.getState());
+  assert.deepStrictEqual(take(resumed, 5), take(random, 5));
+});
+
+test(
+  "the same seed generates the same collection",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      {
+        Background: ["blue#10.png", "red#10.png", "green#5.png"],
+        Eyes: ["open.png", "closed.png"],
+        Beak: ["gold.png", "red.png"],
+      },
+      {
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 8,
+            layersOrder: [
+              { name: "Background" },
+              { name: "Eyes" },
+              { name: "Beak" },
+            ],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const generate = (_seed) => {
+      const { status, output } = runCli(project, [
+        "generate",
+        "--clean",
+        "--seed",
+        _seed,
+        "--date",
+        "1",
+      ]);
+      assert.equal(status, 0, output);
+      const metadata = readBuildJson(project, "json/_metadata.json");
+      return {
+        metadata,
+        image: fs.readFileSync(
+          `${project.buildDir}/images/${metadata[0].edition}.png`
+        ),
+      };
+    };
+    const first = generate("dove");
+    assert.equal(first.metadata.length, 8);
+    assert.deepStrictEqual(generate("dove"), first);
+    assert.notDeepStrictEqual(
+      generate("peace").metadata.map((edition) => edition.dna),
+      first.metadata.map((edition) => edition.dna)
+    );
+  }
+);
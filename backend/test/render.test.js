@@ -0,0 +1,94 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const RenderPool = require(`${basePath}/modules/RenderPool.js`);
+const {
+  skipWithoutCanvas,
+  createProject,
+  removeProject,
+  runCli,
+} = require(`${basePath}/test/helpers.js`);
+
+const createPool = (_t, _size) => {
+  const pool = new RenderPool(
+    _size,
+    `${basePath}/test/fixtures/renderWorker.js`
+  );
+  _t.after(() => pool.close());
+  return pool;
+};
+
+test("RenderPool resolves every job with the result of a worker", async (t) => {
+  const pool = createPool(t, 2);
+  const results = await Promise.all(
+    [1, 2, 3, 4, 5].map((edition) => pool.render({ edition }))
+  );
+  assert.deepStrictEqual(
+    results.map((result) => result.hash),
+    ["hash of 1", "hash of 2", "hash of 3", "hash of 4", "hash of 5"]
+  );
+});
+
+test("RenderPool rejects a job its worker could not render", async (t) => {
+  const pool = createPool(t, 1);
+  await assert.rejects(pool.render({ edition: 7, fail: true }), {
+    message: "Edition 7: Error: broken layer",
+  });
+  assert.equal((await pool.render({ edition: 8 })).hash, "hash of 8");
+});
+
+test("RenderPool fails the job of a crashed worker and goes on with the others", async (t) => {
+  const pool = createPool(t, 2);
+  const crashed = pool.render({ edition: 1, crash: true });
+  const rendered = [2, 3, 4].map((edition) => pool.render({ edition }));
+  await assert.rejects(crashed, /exit code 2/);
+  assert.equal((await Promise.all(rendered)).length, 3);
+});
+
+test("RenderPool rejects queued jobs once no worker is left", async (t) => {
+  const pool = createPool(t, 1);
+  const crashed = pool.render({ edition: 1, crash: true });
+  const queued = pool.render({ edition: 2 });
+  await assert.rejects(crashed, /exit code 2/);
+  await assert.rejects(queued, /No render worker left/);
+  await assert.rejects(pool.render({ edition: 3 }), /No render worker left/);
+});
+
+for (const renderWorkers of [1, 2]) {
+  test(
+    `a layer that can not be decoded stops the run with an error, renderWorkers: ${renderWorkers}`,
+    { skip: skipWithoutCanvas },
+    (t) => {
+      const project = createProject(
+        {
+          Background: ["blue.png", "red.png"],
+          Eyes: ["open.png", "closed.png"],
+        },
+        {
+          renderWorkers,
+          layerConfigurations: [
+            {
+              growEditionSizeTo: 4,
+              layersOrder: [{ name: "Background" }, { name: "Eyes" }],
+            },
+          ],
+        }
+      );
+      t.after(() => removeProject(project));
+      fs.writeFileSync(
+        `${project.profileDir}/layers/Eyes/closed.png`,
+        "broken"
+      );
+      const { status, output } = runCli(project, [
+        "generate",
+        "--seed",
+        "dove",
+      ]);
+      assert.equal(status, 1, output);
+      assert.match(output, /^Error: /m);
+      assert.doesNotMatch(output, /UnhandledPromiseRejection|\n\s+at /);
+      assert.ok(fs.existsSync(`${project.buildDir}/_checkpoint.jsonl`));
+    }
+  );
+}
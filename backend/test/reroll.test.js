@@ -0,0 +1,138 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  skipWithoutCanvas,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const LAYERS = {
+  Eyes: ["open.png", "closed.png", "laser.png"],
+  Beak: ["gold.png", "red.png"],
+};
+
+const generateProject = (_t) => {
+  const project = createProject(LAYERS, {
+    layerConfigurations: [
+      {
+        growEditionSizeTo: 4,
+        layersOrder: [{ name: "Eyes" }, { name: "Beak" }],
+      },
+    ],
+  });
+  _t.after(() => removeProject(project));
+  const { status, output } = runCli(project, ["generate", "--seed", "dove"]);
+  assert.equal(status, 0, output);
+  return project;
+};
+
+// metadata of one edition in its own file and in _metadata.json
+const updateMetadata = (_project, _edition, _update) => {
+  const file = `${_project.buildDir}/json/${_edition}.json`;
+  fs.writeFileSync(
+    file,
+    JSON.stringify(_update(JSON.parse(fs.readFileSync(file))))
+  );
+  const list = readBuildJson(_project, "json/_metadata.json").map((metadata) =>
+    metadata.edition == _edition ? _update(metadata) : metadata
+  );
+  fs.writeFileSync(
+    `${_project.buildDir}/json/_metadata.json`,
+    JSON.stringify(list)
+  );
+};
+
+test(
+  "reroll gives an edition DNA no edition had before",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = generateProject(t);
+    const before = readBuildJson(project, "_dna.json");
+    const [edition] = before.editions.map((entry) => entry.edition);
+    const { status, output } = runCli(project, [
+      "reroll",
+      "--editions",
+      `${edition}`,
+      "--seed",
+      "peace",
+    ]);
+    assert.equal(status, 0, output);
+    const after = readBuildJson(project, "_dna.json");
+    const dna = (_entries) => _entries.map((entry) => entry.dna);
+    assert.deepStrictEqual(
+      after.retired.map(({ edition, dna }) => ({ edition, dna })),
+      before.editions
+        .filter((entry) => entry.edition == edition)
+        .map(({ edition, dna }) => ({ edition, dna }))
+    );
+    assert.equal(new Set(dna(after.editions)).size, 4);
+    const newDna = after.editions.find((entry) => entry.edition == edition).dna;
+    assert.ok(!dna(before.editions).includes(newDna), newDna);
+    assert.equal(readBuildJson(project, "json/_metadata.json").length, 4);
+  }
+);
+
+test(
+  "reroll refuses uploaded editions, not every edition of an uploaded folder",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = generateProject(t);
+    const [uploaded, other] = readBuildJson(project, "json/_metadata.json").map(
+      (metadata) => metadata.edition
+    );
+    // a response of an earlier metadata upload, eg. kept by --clean
+    fs.mkdirSync(`${project.buildDir}/ipfsMetas`, { recursive: true });
+    fs.writeFileSync(
+      `${project.buildDir}/ipfsMetas/_ipfsMetasResponse.json`,
+      "{}"
+    );
+    updateMetadata(project, uploaded, (metadata) => ({
+      ...metadata,
+      image: `https://ipfs.io/ipfs/abc/${uploaded}.png`,
+    }));
+
+    const refused = runCli(project, ["reroll", "--editions", `${uploaded}`]);
+    assert.equal(refused.status, 1, refused.output);
+    assert.match(
+      refused.output,
+      new RegExp(`Edition\\(s\\) ${uploaded} are already uploaded`)
+    );
+    const allowed = runCli(project, ["reroll", "--editions", `${other}`]);
+    assert.equal(allowed.status, 0, allowed.output);
+    const forced = runCli(project, [
+      "reroll",
+      "--editions",
+      `${uploaded}`,
+      "--force",
+    ]);
+    assert.equal(forced.status, 0, forced.output);
+  }
+);
+
+test(
+  "reroll logs a layer it can not load as an error",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = generateProject(t);
+    // every edition draws one of these, the re-rolled one too
+    ["gold.png", "red.png"].forEach((file) =>
+      fs.writeFileSync(
+        `${project.profileDir}/layers/Beak/${file}`,
+        "broken image"
+      )
+    );
+    const [edition] = readBuildJson(project, "json/_metadata.json");
+    const { status, output } = runCli(project, [
+      "reroll",
+      "--editions",
+      `${edition.edition}`,
+    ]);
+    assert.equal(status, 1, output);
+    assert.match(output, /^Error: /m);
+    assert.doesNotMatch(output, /^\s+at /m);
+  }
+);
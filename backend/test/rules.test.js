@@ -0,0 +1,193 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  compileRules,
+  compileLinks,
+  getAllowedElements,
+  countCombinations,
+  checkRules,
+} = require(`${basePath}/src/rules.js`);
+const {
+  skipWithoutCanvas,
+  createLayers,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const names = (_elements) => _elements.map((element) => element.name);
+
+test("compileRules resolves rules and reports unknown layers and elements", () => {
+  const layers = createLayers({ Eyes: ["open", "closed"], Beak: ["gold"] });
+  const { rules, errors } = compileRules(
+    [
+      {
+        layer: "Eyes",
+        element: "closed",
+        excludes: { layer: "Beak", elements: ["gold"] },
+      },
+      {
+        layer: "Hat",
+        element: "red",
+        requires: { layer: "Beak", element: "gold" },
+      },
+      {
+        layer: "Eyes",
+        element: "wide",
+        excludes: { layer: "Beak", element: "gold" },
+      },
+    ],
+    layers
+  );
+  assert.equal(rules[0].index, 0);
+  assert.deepStrictEqual([...rules[0].source.ids], [1]);
+  assert.deepStrictEqual([...rules[0].target.ids], [0]);
+  assert.match(errors[0], /unknown layer "Hat"/);
+  assert.match(errors[1], /unknown element "wide" in layer "Eyes"/);
+});
+
+test("getAllowedElements drops elements an earlier pick excludes", () => {
+  const layers = createLayers({
+    Eyes: ["open", "closed"],
+    Beak: ["gold", "red"],
+  });
+  const { rules } = compileRules(
+    [
+      {
+        layer: "Eyes",
+        element: "closed",
+        excludes: { layer: "Beak", element: "gold" },
+      },
+    ],
+    layers
+  );
+  const picked = new Map([[0, layers[0].elements[1]]]);
+  assert.deepStrictEqual(names(getAllowedElements(layers, rules, 1, picked)), [
+    "red",
+  ]);
+});
+
+test("getAllowedElements looks past the next layer for dead ends", () => {
+  // "laser" rules out the only Beak a "gold" Hand accepts
+  const layers = createLayers({
+    Eyes: ["laser", "open"],
+    Beak: ["gold", "red"],
+    Hand: ["gold"],
+  });
+  const { rules } = compileRules(
+    [
+      {
+        layer: "Eyes",
+        element: "laser",
+        excludes: { layer: "Beak", element: "gold" },
+      },
+      {
+        layer: "Hand",
+        element: "gold",
+        requires: { layer: "Beak", element: "gold" },
+      },
+    ],
+    layers
+  );
+  assert.deepStrictEqual(
+    names(getAllowedElements(layers, rules, 0, new Map())),
+    ["open"]
+  );
+});
+
+test("countCombinations only counts DNA the rules allow", () => {
+  const layers = createLayers({
+    Eyes: ["open", "closed"],
+    Beak: ["gold", "red"],
+  });
+  const { rules } = compileRules(
+    [
+      {
+        layer: "Eyes",
+        element: "closed",
+        excludes: { layer: "Beak", element: "gold" },
+      },
+    ],
+    layers
+  );
+  assert.equal(countCombinations(layers, []), 4);
+  assert.equal(countCombinations(layers, rules), 3);
+  assert.equal(countCombinations(layers, [], 2), 2);
+});
+
+test("checkRules reports rules that leave too few combinations", () => {
+  const layers = createLayers({
+    Eyes: ["open", "closed"],
+    Beak: ["gold", "red"],
+  });
+  const rule = {
+    layer: "Eyes",
+    element: "closed",
+    excludes: { layer: "Beak", element: "gold" },
+  };
+  assert.deepStrictEqual(checkRules(layers, [rule], 3).errors, []);
+  assert.notDeepStrictEqual(checkRules(layers, [rule], 4).errors, []);
+});
+
+test("compileLinks requires the variant folder of the parent element", () => {
+  const layers = createLayers({ Body: ["gold", "blue"], Hand: ["left"] });
+  layers[1].linkedTo = "Body";
+  layers[1].elements = [
+    {
+      id: 0,
+      name: "left",
+      filename: "gold/left.png",
+      variant: "gold",
+      weight: 1,
+    },
+    {
+      id: 1,
+      name: "left",
+      filename: "blue/left.png",
+      variant: "blue",
+      weight: 1,
+    },
+  ];
+  const { rules, errors } = compileLinks(layers);
+  assert.deepStrictEqual(errors, []);
+  const picked = new Map([[0, layers[0].elements[1]]]);
+  assert.deepStrictEqual(
+    getAllowedElements(layers, rules, 1, picked).map((e) => e.filename),
+    ["blue/left.png"]
+  );
+});
+
+test(
+  "a linked layer picks the variant folder of its parent element",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      {
+        Body: ["gold.png", "blue.png"],
+        Hand: ["gold/left.png", "blue/left.png", "blue/right.png"],
+      },
+      {
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 3,
+            layersOrder: [
+              { name: "Body" },
+              { name: "Hand", options: { linkedTo: "Body" } },
+            ],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const { status, output } = runCli(project, ["generate", "--seed", "dove"]);
+    assert.equal(status, 0, output);
+    const { editions } = readBuildJson(project, "_dna.json");
+    assert.equal(editions.length, 3);
+    editions.forEach(({ dna }) => {
+      const [body, hand] = dna.split("-").map((part) => part.split(":")[1]);
+      assert.equal(hand.split("/")[0], body.replace(".png", ""), dna);
+    });
+  }
+);
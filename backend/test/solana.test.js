@@ -0,0 +1,118 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkCreators } = require(`${basePath}/src/solana.js`);
+const {
+  createPng,
+  createProject,
+  removeProject,
+  runCli,
+} = require(`${basePath}/test/helpers.js`);
+
+const CREATOR = "7kH1xBBjcXrTXbNvUWEwvRrN4i8vjgVtjXsNLgM9zR3c";
+
+const solanaMetadata = {
+  symbol: "DOVE",
+  seller_fee_basis_points: 500,
+  external_url: "https://dove-of-peace.com",
+  creators: [{ address: CREATOR, share: 100 }],
+  collection: { name: "Doves" },
+};
+
+// Solana metadata like src/formatters/sol.js writes it
+const createMetadata = (_edition) => ({
+  name: `Dove #${_edition}`,
+  symbol: solanaMetadata.symbol,
+  description: "A dove",
+  seller_fee_basis_points: solanaMetadata.seller_fee_basis_points,
+  image: `${_edition}.png`,
+  external_url: solanaMetadata.external_url,
+  edition: _edition,
+  attributes: [{ trait_type: "Eyes", value: "open" }],
+  properties: {
+    files: [{ uri: `${_edition}.png`, type: "image/png" }],
+    category: "image",
+    creators: solanaMetadata.creators,
+  },
+});
+
+test("checkCreators wants one to four creators sharing 100", () => {
+  assert.deepStrictEqual(checkCreators([]), ["needs at least one creator"]);
+  assert.deepStrictEqual(checkCreators([{ address: CREATOR, share: 100 }]), []);
+  assert.deepStrictEqual(
+    checkCreators(
+      Array.from({ length: 5 }, () => ({ address: CREATOR, share: 10 }))
+    ),
+    [
+      "has 5 creators, Candy Machine allows at most 4",
+      "shares add up to 50 instead of 100",
+    ]
+  );
+});
+
+test("solana exports build/assets and validates it for Candy Machine", (t) => {
+  const project = createProject(
+    { Eyes: ["open.png"] },
+    {
+      network: "sol",
+      namePrefix: "Dove",
+      solanaMetadata,
+      layerConfigurations: [
+        { growEditionSizeTo: 2, layersOrder: [{ name: "Eyes" }] },
+      ],
+    }
+  );
+  t.after(() => removeProject(project));
+  // a generated collection, Solana editions start at 0
+  fs.mkdirSync(`${project.buildDir}/json`, { recursive: true });
+  fs.mkdirSync(`${project.buildDir}/images`, { recursive: true });
+  [0, 1].forEach((edition) =>
+    fs.writeFileSync(
+      `${project.buildDir}/images/${edition}.png`,
+      createPng([edition * 100, 0, 0, 255])
+    )
+  );
+  fs.writeFileSync(
+    `${project.buildDir}/json/_metadata.json`,
+    JSON.stringify([0, 1].map(createMetadata))
+  );
+
+  const exported = runCli(project, ["solana"]);
+  assert.equal(exported.status, 0, exported.output);
+  const assetsDir = `${project.buildDir}/assets`;
+  assert.deepStrictEqual(fs.readdirSync(assetsDir).sort(), [
+    "0.json",
+    "0.png",
+    "1.json",
+    "1.png",
+    "collection.json",
+    "collection.png",
+  ]);
+  const collection = JSON.parse(
+    fs.readFileSync(`${assetsDir}/collection.json`)
+  );
+  assert.equal(collection.name, "Doves");
+  assert.deepStrictEqual(
+    fs.readFileSync(`${assetsDir}/collection.png`),
+    fs.readFileSync(`${project.buildDir}/images/0.png`)
+  );
+  const valid = runCli(project, ["solana", "--validate"]);
+  assert.equal(valid.status, 0, valid.output);
+  assert.match(valid.output, /ready for Candy Machine with 2 assets/);
+
+  fs.rmSync(`${assetsDir}/0.png`);
+  fs.writeFileSync(
+    `${assetsDir}/1.json`,
+    JSON.stringify({ ...createMetadata(1), symbol: "DOV" })
+  );
+  fs.writeFileSync(`${assetsDir}/3.json`, JSON.stringify(createMetadata(3)));
+  const invalid = runCli(project, ["solana", "--validate"]);
+  assert.equal(invalid.status, 1, invalid.output);
+  [
+    '- 0: image "0.png" is not a file in the assets folder',
+    '- 1: symbol "DOV" does not match solanaMetadata.symbol "DOVE"',
+    "- 2: is missing, assets have to be numbered from 0 without gaps",
+    '- 3: image "3.png" is not a file in the assets folder',
+  ].forEach((line) => assert.ok(invalid.output.includes(line), invalid.output));
+});
@@ -0,0 +1,139 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  setTextValues,
+  drawText,
+  checkText,
+} = require(`${basePath}/src/textOverlay.js`);
+const {
+  skipWithoutCanvas,
+  createLayers,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const pick = (_layer, _element) => ({
+  ..._layer,
+  selectedElement: _layer.elements[_element],
+});
+
+test("setTextValues fills in the edition, the name and other traits", () => {
+  const [hat, hand, caption] = createLayers({
+    Hat: ["cap"],
+    Hand: { presence: 0.5, elements: ["left"] },
+    Caption: {
+      text: { template: "{name} #{edition} wears {Hat} and {Hand}, {Wings}" },
+      elements: ["Caption"],
+    },
+  });
+  hand.elements.push({ id: 1, name: "None", weight: 0, absent: true });
+  const layers = setTextValues(
+    [pick(hat, 0), pick(hand, 1), pick(caption, 0)],
+    7,
+    "Dove"
+  );
+  // placeholders without a value are left as they are
+  assert.equal(layers[2].text.value, "Dove #7 wears cap and None, {Wings}");
+  // the layers of the setup are left untouched for the next edition
+  assert.equal(caption.text.value, undefined);
+});
+
+test("drawText strokes the text before filling it", () => {
+  const calls = [];
+  const ctx = new Proxy(
+    {},
+    {
+      get:
+        (_target, _key) =>
+        (...args) =>
+          calls.push([_key, ...args]),
+      set: (_target, _key, _value) => calls.push([`${_key}=`, _value]),
+    }
+  );
+  drawText(ctx, {
+    value: "Dove",
+    x: 10,
+    y: 20,
+    rotation: 90,
+    size: 12,
+    family: "Press Start",
+    stroke: { color: "#000", width: 2 },
+  });
+  assert.deepStrictEqual(
+    calls.filter(([key]) => !key.endsWith("=") || key == "font="),
+    [
+      ["save"],
+      ["translate", 10, 20],
+      ["rotate", Math.PI / 2],
+      ["font=", 'normal normal 12px "Press Start"'],
+      ["strokeText", "Dove", 0, 0],
+      ["fillText", "Dove", 0, 0],
+      ["restore"],
+    ]
+  );
+});
+
+test("checkText lists every problem of a text option", () => {
+  assert.deepStrictEqual(checkText({}, []), [
+    'text.template has to be a string, eg. "#{edition}"',
+  ]);
+  assert.deepStrictEqual(
+    checkText({ template: "{name} {Hat} {edition}" }, ["Hat"]),
+    []
+  );
+  assert.deepStrictEqual(
+    checkText(
+      { template: "{Wings}", size: "12px", stroke: { color: "#000" } },
+      ["Hat"]
+    ),
+    [
+      "text.template uses {Wings} which is not {edition}, {name} or the trait type of an image layer",
+      "text.size has to be a number",
+      "text.stroke needs a color and a width in px",
+    ]
+  );
+});
+
+test(
+  "a text layer can be an attribute of the metadata",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      { Eyes: ["open.png", "closed.png"] },
+      {
+        namePrefix: "Dove",
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 2,
+            layersOrder: [
+              { name: "Eyes" },
+              {
+                name: "Caption",
+                options: {
+                  text: { template: "#{edition} {Eyes}", attribute: true },
+                },
+              },
+            ],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const { status, output } = runCli(project, ["generate"]);
+    assert.equal(status, 0, output);
+    readBuildJson(project, "json/_metadata.json").forEach((metadata) => {
+      const eyes = metadata.attributes.find(
+        (attribute) => attribute.trait_type == "Eyes"
+      );
+      assert.deepStrictEqual(
+        metadata.attributes.find(
+          (attribute) => attribute.trait_type == "Caption"
+        ),
+        { trait_type: "Caption", value: `#${metadata.edition} ${eyes.value}` }
+      );
+    });
+  }
+);
@@ -0,0 +1,153 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert");
+const { traitStats } = require(`${basePath}/src/config.js`);
+const {
+  getAttribute,
+  getStatAttributes,
+  checkTraits,
+} = require(`${basePath}/src/traits.js`);
+const {
+  skipWithoutCanvas,
+  createLayers,
+  createProject,
+  removeProject,
+  runCli,
+  readBuildJson,
+} = require(`${basePath}/test/helpers.js`);
+
+const LEVEL_TRAITS = {
+  display_type: "number",
+  max_value: 10,
+  elements: {
+    gold: { value: 10, display_type: "boost_number", stats: { Strength: 5 } },
+    3: { stats: { Strength: 2, Speed: 1 } },
+  },
+};
+
+const pick = (_layer, _name) => ({
+  ..._layer,
+  selectedElement: _layer.elements.find((element) => element.name == _name),
+});
+
+test("getAttribute uses _traits.json, element entries win", () => {
+  const [level] = createLayers({
+    Level: { elements: ["3", "gold"], traits: LEVEL_TRAITS },
+  });
+  assert.deepStrictEqual(getAttribute(pick(level, "3")), {
+    trait_type: "Level",
+    value: 3,
+    display_type: "number",
+    max_value: 10,
+  });
+  assert.deepStrictEqual(getAttribute(pick(level, "gold")), {
+    trait_type: "Level",
+    value: 10,
+    display_type: "boost_number",
+    max_value: 10,
+  });
+  const [eyes] = createLayers({ Eyes: ["open"] });
+  assert.deepStrictEqual(getAttribute(pick(eyes, "open")), {
+    trait_type: "Eyes",
+    value: "open",
+  });
+});
+
+test("getStatAttributes adds up the stats of an edition", (t) => {
+  // src/config.js has no stats, traits.js keeps its traitStats object
+  traitStats.Strength = { display_type: "boost_number", max_value: 100 };
+  traitStats.Luck = {};
+  t.after(() => {
+    delete traitStats.Strength;
+    delete traitStats.Luck;
+  });
+  const [level, rank] = createLayers({
+    Level: { elements: ["3", "gold"], traits: LEVEL_TRAITS },
+    Rank: {
+      elements: ["1"],
+      traits: { elements: { 1: { stats: { Strength: 1 } } } },
+    },
+  });
+  assert.deepStrictEqual(
+    getStatAttributes([pick(level, "3"), pick(rank, "1")]),
+    [
+      {
+        trait_type: "Strength",
+        value: 3,
+        display_type: "boost_number",
+        max_value: 100,
+      },
+      { trait_type: "Luck", value: 0, display_type: "number" },
+      { trait_type: "Speed", value: 1, display_type: "number" },
+    ]
+  );
+});
+
+test("checkTraits reports unknown elements and values that are not numbers", () => {
+  const layers = createLayers({
+    Level: {
+      elements: ["3", "high"],
+      traits: {
+        display_type: "number",
+        elements: { 4: {}, 3: { stats: { Strength: "a lot" } } },
+      },
+    },
+    Eyes: { elements: ["open"], traits: { display_type: "rank" } },
+  });
+  assert.deepStrictEqual(checkTraits(layers), [
+    'Layer "Level": _traits.json has an entry for unknown element "4"',
+    'Layer "Level": element "3" has a non numeric value for stat "Strength"',
+    'Layer "Level": element "high" needs a numeric value for display_type "number"',
+    'Layer "Eyes": element "open" has display_type "rank", use one of number, boost_percentage, boost_number, date',
+  ]);
+});
+
+test(
+  "generate writes traits and stats to the metadata",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      { Level: ["3.png", "gold.png"], Eyes: ["open.png"] },
+      {
+        traitStats: {
+          Strength: { display_type: "boost_number", max_value: 100 },
+        },
+        layerConfigurations: [
+          {
+            growEditionSizeTo: 2,
+            layersOrder: [{ name: "Level" }, { name: "Eyes" }],
+          },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    fs.writeFileSync(
+      `${project.profileDir}/layers/Level/_traits.json`,
+      JSON.stringify(LEVEL_TRAITS)
+    );
+    const { status, output } = runCli(project, ["generate"]);
+    assert.equal(status, 0, output);
+    const gold = readBuildJson(project, "json/_metadata.json").find(
+      (metadata) =>
+        metadata.attributes.some(
+          (a) => a.trait_type == "Level" && a.value == 10
+        )
+    );
+    assert.deepStrictEqual(gold.attributes, [
+      {
+        trait_type: "Level",
+        value: 10,
+        display_type: "boost_number",
+        max_value: 10,
+      },
+      { trait_type: "Eyes", value: "open" },
+      {
+        trait_type: "Strength",
+        value: 5,
+        display_type: "boost_number",
+        max_value: 100,
+      },
+    ]);
+  }
+);
@@ -0,0 +1,125 @@
+const basePath = process.cwd();
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require(`${basePath}/src/config.js`);
+const {
+  validateConfig,
+  validateContract,
+} = require(`${basePath}/src/validateConfig.js`);
+const {
+  createProject,
+  removeProject,
+  runCli,
+} = require(`${basePath}/test/helpers.js`);
+
+// validateConfig reads src/config.js, the keys are put back after the test
+const withConfig = (_t, _keys) => {
+  const saved = Object.fromEntries(
+    Object.keys(_keys).map((key) => [key, config[key]])
+  );
+  Object.assign(config, _keys);
+  _t.after(() => Object.assign(config, saved));
+};
+
+// the layers folder of the backend has Background, Body, Eyes, Hand and Beak
+const withLayers = (_t, _layersOrder, _growEditionSizeTo = 10) =>
+  withConfig(_t, {
+    layerConfigurations: [
+      { growEditionSizeTo: _growEditionSizeTo, layersOrder: _layersOrder },
+    ],
+  });
+
+const getMessages = () =>
+  validateConfig().map((error) => `${error.key}: ${error.message}`);
+
+test("the config of the repository is valid", () => {
+  assert.deepStrictEqual(getMessages(), []);
+});
+
+test("validateConfig reports missing layer folders and editions that do not grow", (t) => {
+  withConfig(t, {
+    layerConfigurations: [
+      { growEditionSizeTo: 10, layersOrder: [{ name: "Background" }] },
+      { growEditionSizeTo: 5, layersOrder: [{ name: "Wings" }] },
+    ],
+  });
+  const messages = getMessages();
+  assert.ok(
+    messages.some((message) =>
+      /layerConfigurations\[1\]\.growEditionSizeTo: 5 has to be larger/.test(
+        message
+      )
+    ),
+    messages.join("\n")
+  );
+  assert.ok(
+    messages.some((message) =>
+      /\(Wings\): folder layers\/Wings does not exist/.test(message)
+    ),
+    messages.join("\n")
+  );
+});
+
+test("validateConfig wants the parent of a linked layer listed first", (t) => {
+  withLayers(t, [
+    { name: "Hand", options: { linkedTo: "Body" } },
+    { name: "Body" },
+  ]);
+  assert.ok(
+    getMessages().some((message) =>
+      /\(Hand\): is linked to "Body" which comes after it/.test(message)
+    )
+  );
+});
+
+test("validateConfig wants a presence from 0 to 1", (t) => {
+  withLayers(t, [
+    { name: "Background", options: { presence: 0 } },
+    { name: "Eyes", options: { presence: 1.5 } },
+    { name: "Beak", options: { presence: "half" } },
+  ]);
+  assert.deepStrictEqual(getMessages(), [
+    "layerConfigurations[0].layersOrder[1].options.presence: 1.5 must be a number from 0 to 1",
+    "layerConfigurations[0].layersOrder[2].options.presence: half must be a number from 0 to 1",
+  ]);
+});
+
+test("the contract fields are checked on their own", (t) => {
+  withLayers(t, [{ name: "Background" }], 10);
+  withConfig(t, {
+    OWNER_ADDRESS: "0x7a9136508731c4a4678b74ad844bfca6dc60e818",
+    PUBLIC_MINT_START_DATE: "tomorrow",
+    MAX_SUPPLY: 5000,
+  });
+  assert.deepStrictEqual(getMessages(), []);
+  assert.deepStrictEqual(
+    validateContract().map((error) => error.key),
+    ["MAX_SUPPLY", "OWNER_ADDRESS", "PUBLIC_MINT_START_DATE"]
+  );
+});
+
+test("only the contract scripts stop on contract fields", (t) => {
+  const project = createProject(
+    { Eyes: ["open.png"] },
+    {
+      MAX_SUPPLY: 5000,
+      layerConfigurations: [
+        { growEditionSizeTo: 1, layersOrder: [{ name: "Eyes" }] },
+      ],
+    }
+  );
+  t.after(() => removeProject(project));
+  const deploy = runCli(project, ["deploy"]);
+  assert.equal(deploy.status, 1, deploy.output);
+  assert.match(
+    deploy.output,
+    /- MAX_SUPPLY: 5000 does not match the 1 editions/
+  );
+  // there is nothing exported to validate, the config check comes first
+  const solana = runCli(project, ["solana", "--validate"]);
+  assert.match(
+    solana.output,
+    /Warning: MAX_SUPPLY: 5000 does not match the 1 editions/
+  );
+  assert.doesNotMatch(solana.output, /problem\(s\) in src\/config.js/);
+});
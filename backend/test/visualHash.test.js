@@ -0,0 +1,92 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  hasCanvas,
+  skipWithoutCanvas,
+  createPng,
+  createProject,
+  removeProject,
+  runCli,
+} = require(`${basePath}/test/helpers.js`);
+
+// src/visualHash.js draws on a canvas to hash, loading it needs the native build
+const visualHash = hasCanvas ? require(`${basePath}/src/visualHash.js`) : {};
+
+test(
+  "getHashDistance counts the bits that differ",
+  { skip: skipWithoutCanvas },
+  () => {
+    const { getHashDistance } = visualHash;
+    assert.equal(getHashDistance("00000000000000ff", "00000000000000ff"), 0);
+    assert.equal(getHashDistance("00000000000000ff", "000000000000000f"), 4);
+    assert.equal(getHashDistance("8000000000000001", "0000000000000000"), 2);
+  }
+);
+
+test(
+  "findVisualDuplicate returns the first edition within the threshold",
+  { skip: skipWithoutCanvas },
+  () => {
+    const { findVisualDuplicate } = visualHash;
+    const hashes = [
+      { edition: 1, hash: "00000000000000ff" },
+      { edition: 2, hash: "000000000000000f" },
+    ];
+    assert.equal(findVisualDuplicate(hashes, "0000000000000000", 3), null);
+    assert.deepStrictEqual(findVisualDuplicate(hashes, "0000000000000007", 3), {
+      edition: 2,
+      distance: 1,
+    });
+  }
+);
+
+test(
+  "getDuplicateClusters joins chains of editions that look alike",
+  { skip: skipWithoutCanvas },
+  () => {
+    const { getDuplicateClusters } = visualHash;
+    const hashes = [
+      { edition: 1, hash: "0000000000000000" },
+      { edition: 2, hash: "ffffffffffffffff" },
+      { edition: 3, hash: "0000000000000003" },
+      { edition: 4, hash: "000000000000000f" },
+    ];
+    // 1 and 4 differ in 4 bits but 3 is within 2 bits of both
+    assert.deepStrictEqual(getDuplicateClusters(hashes, 2), [[1, 3, 4]]);
+    assert.deepStrictEqual(getDuplicateClusters(hashes, 1), []);
+  }
+);
+
+test(
+  "duplicates fails on an image it can not read",
+  { skip: skipWithoutCanvas },
+  (t) => {
+    const project = createProject(
+      { Eyes: ["open.png"] },
+      {
+        layerConfigurations: [
+          { growEditionSizeTo: 1, layersOrder: [{ name: "Eyes" }] },
+        ],
+      }
+    );
+    t.after(() => removeProject(project));
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "minter-images-"));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    fs.writeFileSync(`${folder}/1.png`, createPng([0, 0, 0, 255]));
+    fs.writeFileSync(`${folder}/2.png`, "broken image");
+    const { status, output } = runCli(project, [
+      "duplicates",
+      "--folder",
+      folder,
+    ]);
+    assert.equal(status, 1, output);
+    assert.match(output, /Hashing 2 images/);
+    // logged as an error instead of crashing with a stack trace
+    assert.match(output, /^Error: /m);
+    assert.doesNotMatch(output, /^\s+at /m);
+  }
+);
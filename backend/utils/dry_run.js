@@ -0,0 +1,61 @@
+const basePath = process.cwd();
+const { program } = require("commander");
+const { dryRun } = require(`${basePath}/src/main.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+const { setJsonLogs, logEvent } = require(`${basePath}/src/log.js`);
+
+program
+  .option(
+    "-s, --seed <seed>",
+    "Seed for the simulated picks, overrides config.js"
+  )
+  .option("--fixed <file>", "Check a CSV or JSON of editions with fixed traits")
+  .option("--json-logs", "Log one JSON object per layer configuration");
+program.parse(process.argv);
+
+setJsonLogs(Boolean(program.opts().jsonLogs));
+checkConfig();
+
+const formatCount = (_count) => _count.toLocaleString("en-US");
+
+// print out the estimate of every layer configuration
+const report = dryRun(program.opts());
+report.forEach((layerConfig, index) => {
+  if (layerConfig.created < layerConfig.editions) {
+    process.exitCode = 1;
+  }
+  if (program.opts().jsonLogs) {
+    logEvent("dry_run", { layerConfiguration: index, ...layerConfig });
+    return;
+  }
+  console.log(`Layer configuration ${index}: ${layerConfig.editions} editions`);
+  console.log(
+    `Unique combinations: ${
+      layerConfig.combinations.exact ? "" : "more than "
+    }${formatCount(layerConfig.combinations.count)}`
+  );
+  const { rerolls } = layerConfig;
+  console.log(
+    `Re-rolls, average of ${rerolls.runs} simulated runs from seed ${
+      layerConfig.seed
+    }: ${rerolls.average.toFixed(1)} (min ${formatCount(
+      rerolls.min
+    )}, max ${formatCount(rerolls.max)})`
+  );
+  if (layerConfig.fixed > 0) {
+    console.log(`Fixed editions: ${layerConfig.fixed}`);
+  }
+  if (layerConfig.stoppedRuns > 0) {
+    console.log(
+      `Error: ${layerConfig.stoppedRuns} of ${rerolls.runs} simulated runs reached uniqueDnaTorrance, one after only ${layerConfig.created} editions, the generation can stop here`
+    );
+  }
+  layerConfig.warnings.forEach((warning) => console.log(`Warning: ${warning}`));
+  layerConfig.expectedCounts.forEach((layer) => {
+    console.log(`Trait type: ${layer.name}`);
+    layer.elements.forEach((element) => {
+      console.log({ trait: element.name, expected: element.count.toFixed(1) });
+    });
+  });
+  console.log();
+});
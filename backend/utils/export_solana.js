@@ -0,0 +1,13 @@
+const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
+const fs = require("fs");
+const { exportAssets } = require(`${basePath}/src/solana.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
+
+// read json data
+const rawdata = fs.readFileSync(`${buildDir}/json/_metadata.json`);
+const metadataList = JSON.parse(rawdata);
+
+exportAssets(metadataList);
@@ -0,0 +1,61 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const path = require("path");
+const { program } = require("commander");
+const { buildDir } = require(`${basePath}/src/paths.js`);
+const { visualDuplicates } = require(`${basePath}/src/config.js`);
+const { getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+const { isElementFile, decodeAsset } = require(`${basePath}/src/assets.js`);
+const {
+  getVisualHash,
+  getDuplicateClusters,
+} = require(`${basePath}/src/visualHash.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
+
+program
+  .option(
+    "-f, --folder <folder>",
+    "Folder of images to scan",
+    `${buildDir}/${getPrimaryOutput().folder}`
+  )
+  .option(
+    "-t, --threshold <bits>",
+    "Bits out of 64 that may differ for two images to count as duplicates",
+    `${visualDuplicates?.threshold ?? 0}`
+  );
+program.parse(process.argv);
+
+const findDuplicates = async () => {
+  const { folder, threshold } = program.opts();
+  if (!fs.existsSync(folder)) {
+    console.log(`${folder} does not exist, generate the collection first.`);
+    process.exit(1);
+  }
+  const files = fs
+    .readdirSync(folder)
+    .filter((file) => isElementFile(file))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  console.log(`Hashing ${files.length} images in ${folder}`);
+  const hashes = [];
+  for (const file of files) {
+    hashes.push({
+      edition: path.parse(file).name,
+      hash: getVisualHash(await decodeAsset(`${folder}/${file}`)),
+    });
+  }
+  const clusters = getDuplicateClusters(hashes, Number(threshold));
+  if (clusters.length == 0) {
+    console.log("No editions look alike.");
+    return;
+  }
+  console.log(`Found ${clusters.length} group(s) of editions that look alike:`);
+  clusters.forEach((cluster) => console.log(`- ${cluster.join(", ")}`));
+  process.exitCode = 1;
+};
+
+findDuplicates().catch((error) => {
+  console.log(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,22 @@
+const basePath = process.cwd();
+const yesno = require("yesno");
+const { CLI_ENV } = require(`${basePath}/constants/cli.js`);
+
+/**
+ * Asks a yes/no question. With `--yes` it is answered right away, so the
+ * scripts run without anyone at the keyboard.
+ *
+ * @param {String} _question Question to ask
+ * @returns {Promise<Boolean>} Whether the answer is yes
+ */
+const confirm = async (_question) => {
+  if (process.env[CLI_ENV.yes] == "1") {
+    console.log(`${_question} yes (--yes)`);
+    return true;
+  }
+  return yesno({ question: _question, default: null });
+};
+
+module.exports = {
+  confirm,
+};
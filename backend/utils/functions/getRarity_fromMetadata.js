@@ -1,9 +1,13 @@
 const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`)
+
+checkConfig()
 
 const getRarity = () => {
   // read json data
-  const rawdata = fs.readFileSync(`${basePath}/build/json/_metadata.json`);
+  const rawdata = fs.readFileSync(`${buildDir}/json/_metadata.json`);
   const nfts = JSON.parse(rawdata);
 
   processRarity(nfts)
@@ -18,20 +22,22 @@ function processRarity(nfts) {
     if(nft?.attributes?.length > 0) {
       // loop through all attributes
       for(attribute of nft.attributes) {
+        // TZIP-21 attributes (Tezos) have a name instead of a trait_type
+        const traitType = attribute.trait_type ?? attribute.name
         // add trait type to rarity object if it doesn't exist
-        if(!rarity[attribute.trait_type]) {
-          rarity[attribute.trait_type] = {}
+        if(!rarity[traitType]) {
+          rarity[traitType] = {}
         }
         // add attribute value to rarity object if it doesn't exist and set count to 0
-        if(!rarity[attribute.trait_type][attribute.value]) {
-          rarity[attribute.trait_type][attribute.value] = {
+        if(!rarity[traitType][attribute.value]) {
+          rarity[traitType][attribute.value] = {
             count: 0
           }
         }
         // increment count of trait type
-        rarity[attribute.trait_type][attribute.value].count++
+        rarity[traitType][attribute.value].count++
         // add rarity score to rarity object for each trait type
-        rarity[attribute.trait_type][attribute.value].rarityScore = (1 / (rarity[attribute.trait_type][attribute.value].count / nfts.length)).toFixed(2)
+        rarity[traitType][attribute.value].rarityScore = (1 / (rarity[traitType][attribute.value].count / nfts.length)).toFixed(2)
       }
     }
   }
@@ -41,15 +47,15 @@ function processRarity(nfts) {
     if(nft?.attributes?.length > 0) {
       let totalScore = 0;
       for(attribute of nft.attributes) {
-        attribute.rarity_score = rarity[attribute.trait_type][attribute.value].rarityScore
+        attribute.rarity_score = rarity[attribute.trait_type ?? attribute.name][attribute.value].rarityScore
         totalScore += parseFloat(attribute.rarity_score)
       }
       nft.total_rarity_score = +parseFloat(totalScore).toFixed(2)
     }
   })
 
-  // sort nfts by total rarity score
-  nfts.sort((a, b) => b.total_rarity_score - a.total_rarity_score)
+  // sort nfts by total rarity score, hand made legendaries always rank first
+  nfts.sort((a, b) => (b.legendary ? 1 : 0) - (a.legendary ? 1 : 0) || b.total_rarity_score - a.total_rarity_score)
   
   // add rank to nfts
   nfts.map((nft, index) => {
@@ -59,7 +65,7 @@ function processRarity(nfts) {
   // sort nfts by edition again
   nfts.sort((a, b) => a.custom_fields.edition - b.custom_fields.edition)
 
-  fs.writeFileSync(`${basePath}/build/json/_metadata_with_rarity.json`, JSON.stringify(nfts, null, 2));
+  fs.writeFileSync(`${buildDir}/json/_metadata_with_rarity.json`, JSON.stringify(nfts, null, 2));
 }
 
 getRarity();
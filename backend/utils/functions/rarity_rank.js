@@ -1,8 +1,12 @@
 const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
+const readline = require("readline");
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
 
 // initialize readline to prompt user for input
-const readline = require("readline");
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
@@ -13,7 +17,7 @@ const prompt = (query) => new Promise((resolve) => rl.question(query, resolve));
   try {
     // read json data
     const rawdata = fs.readFileSync(
-      `${basePath}/build/json/_metadata_with_rarity.json`
+      `${buildDir}/json/_metadata_with_rarity.json`
     );
     const nfts = JSON.parse(rawdata);
 
@@ -6,12 +6,15 @@ const AdblockerPlugin = require("puppeteer-extra-plugin-adblocker");
 puppeteer.use(AdblockerPlugin({ blockTrackers: true }));
 let [START, END] = process.argv.slice(2);
 const { CONTRACT_ADDRESS, CHAIN } = require(`${basePath}/src/config.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
 
 START = parseInt(START);
 END = parseInt(END);
 if (!START || !END) {
   console.log(
-    "Please provide a start and end edition number. Example: npm run refresh_os --start 1 --end 10"
+    "Please provide a start and end edition number. Example: npm run refresh_os -- --start 1 --end 10"
   );
   process.exit(1);
 }
@@ -63,6 +66,7 @@ async function main() {
   if (notFound.length > 0 || errors.length > 0) {
     console.log(`Not Found: ${notFound}`);
     console.log(`Errors: ${errors}`);
+    process.exitCode = 1;
   }
   console.log(`Finished OpenSea Refresh`);
 }
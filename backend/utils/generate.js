@@ -0,0 +1,51 @@
+const basePath = process.cwd();
+const { program } = require("commander");
+const {
+  startCreating,
+  generationSetup,
+  buildSetup,
+} = require(`${basePath}/src/main.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+const {
+  setJsonLogs,
+  logEvent,
+  endProgress,
+} = require(`${basePath}/src/log.js`);
+
+program
+  .option(
+    "-s, --seed <seed>",
+    "Seed for every random choice, overrides config.js"
+  )
+  .option(
+    "-d, --date <timestamp>",
+    "Date written to the metadata, in ms since epoch"
+  )
+  .option("-r, --resume", "Continue an unfinished generation")
+  .option(
+    "-c, --clean",
+    "Remove the previous collection, keeps contract and upload files"
+  )
+  .option("--clean-all", "Remove the whole build folder")
+  .option(
+    "--fixed <file>",
+    "CSV or JSON of editions with fixed traits, the rest is random"
+  )
+  .option("--json-logs", "Log one JSON object per line instead of text");
+
+program.parse(process.argv);
+
+(() => {
+  setJsonLogs(Boolean(program.opts().jsonLogs));
+  checkConfig();
+  // a problem with the config or --fixed exits before the previous
+  // collection is removed
+  const setup = generationSetup(program.opts());
+  buildSetup(program.opts());
+  startCreating(program.opts(), setup).catch((error) => {
+    // eg. a crashed render worker, the checkpoint is kept for --resume
+    endProgress();
+    logEvent("error", { message: error.message }, `Error: ${error.message}`);
+    process.exit(1);
+  });
+})();
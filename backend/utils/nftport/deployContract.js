@@ -1,7 +1,7 @@
 const path = require("path");
 const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
-const yesno = require('yesno');
 
 const {
   fetchNoRetry,
@@ -25,21 +25,24 @@ let {
   PRESALE_MINT_START_DATE,
   PRESALE_WHITELISTED_ADDRESSES
 } = require(`${basePath}/src/config.js`);
+const { confirm } = require(`${basePath}/utils/functions/confirm.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig({ contract: true });
 
 const deployContract = async () => {
-  const ok = await yesno({
-    question: `Is all REQUIRED contract information correct in config.js? (y/n):`,
-    default: null,
-  });
+  const ok = await confirm(
+    `Is all REQUIRED contract information correct in config.js? (y/n):`
+  );
   
   if(!ok) {
     console.log("Exiting...");
-    process.exit(0);
+    process.exit(1);
   }
 
   if(GENERIC) {
     try {
-      let jsonFile = fs.readFileSync(`${basePath}/build/ipfsMetasGeneric/_ipfsMetasResponse.json`);
+      let jsonFile = fs.readFileSync(`${buildDir}/ipfsMetasGeneric/_ipfsMetasResponse.json`);
       let metaData = JSON.parse(jsonFile);
       if(metaData.response === "OK" && metaData.error === null) {
         if(!PREREVEAL_TOKEN_URI) {
@@ -51,11 +54,11 @@ const deployContract = async () => {
     } catch (err) {
       console.log(`/build/_ipfsMetasGeneric/_ipfsMetasResponse.json file not found. Run "npm run upload_metadata" first.`);
       console.log(`Catch: ${err}`);
-      process.exit(0);
+      process.exit(1);
     }
   } else {
     try {
-      let jsonFile = fs.readFileSync(`${basePath}/build/ipfsMetas/_ipfsMetasResponse.json`);
+      let jsonFile = fs.readFileSync(`${buildDir}/ipfsMetas/_ipfsMetasResponse.json`);
       let metaData = JSON.parse(jsonFile);
       if(metaData.response === "OK" && metaData.error === null) {
         if(!BASE_URI) {
@@ -66,12 +69,12 @@ const deployContract = async () => {
       }
     } catch (err) {
       console.log(`/build/_ipfsMetasGeneric/_ipfsMetasResponse.json file not found. Run "npm run upload_metadata" first.`);
-      process.exit(0);
+      process.exit(1);
     }
   }
 
-  if (!fs.existsSync(path.join(`${basePath}/build`, "/contract"))) {
-    fs.mkdirSync(path.join(`${basePath}/build`, "contract"));
+  if (!fs.existsSync(path.join(buildDir, "/contract"))) {
+    fs.mkdirSync(path.join(buildDir, "contract"));
   }
 
   try {
@@ -102,15 +105,17 @@ const deployContract = async () => {
       body: JSON.stringify(contract),
     };
     const response = await fetchNoRetry(url, options);
-    fs.writeFileSync(`${basePath}/build/contract/_deployContractResponse.json`, JSON.stringify(response, null, 2));
+    fs.writeFileSync(`${buildDir}/contract/_deployContractResponse.json`, JSON.stringify(response, null, 2));
     if(response.response === "OK") {
       console.log(`Contract deployment started.`);
     } else {
       console.log(`Contract deployment failed`);
+      process.exitCode = 1;
     }
     console.log(`Check /build/contract/_deployContractResponse.json for more information. Run "npm run get_contract" to get the contract details.`);
   } catch (error) {
     console.log(`CATCH: Contract deployment failed`, `ERROR: ${error}`);
+    process.exitCode = 1;
   }
 };
 
@@ -1,7 +1,7 @@
 const path = require("path");
 const basePath = process.cwd();
 const fs = require("fs");
-const buildDir = path.join(basePath, "/build");
+const { buildDir } = require(`${basePath}/src/paths.js`);
 
 const {
   GENERIC_TITLE,
@@ -9,6 +9,9 @@ const {
   GENERIC_IMAGE,
   extraMetadata
 } = require(`${basePath}/src/config.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
 
 if (!fs.existsSync(path.join(buildDir, "/genericJson"))) {
   fs.mkdirSync(path.join(buildDir, "/genericJson"));
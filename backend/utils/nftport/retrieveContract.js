@@ -1,15 +1,19 @@
 const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
 
 const {
   fetchNoRetry,
 } = require(`${basePath}/utils/functions/fetchWithRetry.js`);
 const { CHAIN, CONTRACT_NAME } = require(`${basePath}/src/config.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
 
 const retrieveContract = async () => {
   try {
     const rawDeployData = fs.readFileSync(
-      `${basePath}/build/contract/_deployContractResponse.json`
+      `${buildDir}/contract/_deployContractResponse.json`
     );
     const deployData = JSON.parse(rawDeployData);
     if (deployData.response === "OK") {
@@ -24,19 +28,22 @@ const retrieveContract = async () => {
       };
       const response = await fetchNoRetry(url, options);
       fs.writeFileSync(
-        `${basePath}/build/contract/_contract.json`,
+        `${buildDir}/contract/_contract.json`,
         JSON.stringify(response, null, 2)
       );
       if (response.response === "OK" && response.error === null) {
         console.log(`Contract ${CONTRACT_NAME} deployed successfully`);
       } else {
         console.log(`Contract ${CONTRACT_NAME} deployment failed`);
+        process.exitCode = 1;
       }
     } else {
       console.log(`Contract ${CONTRACT_NAME} deployment failed`);
+      process.exitCode = 1;
     }
   } catch (error) {
     console.log(`CATCH: Contract ${CONTRACT_NAME} deployment failed`, `ERROR: ${error}`);
+    process.exitCode = 1;
   }
 };
 
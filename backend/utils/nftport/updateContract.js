@@ -1,7 +1,7 @@
 (async () => {
   const fs = require("fs");
   const basePath = process.cwd();
-  const yesno = require("yesno");
+  const { buildDir } = require(`${basePath}/src/paths.js`);
   const { program } = require("commander");
 
   program.option("-u, --update <field>", "Field to update");
@@ -24,6 +24,10 @@
     ROYALTY_ADDRESS,
     PRESALE_WHITELISTED_ADDRESSES,
   } = require(`${basePath}/src/config.js`);
+  const { confirm } = require(`${basePath}/utils/functions/confirm.js`);
+  const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+  checkConfig({ contract: true });
 
   const contract = {
     chain: CHAIN.toLowerCase(),
@@ -99,7 +103,7 @@
       if (!BASE_URI) {
         try {
           let jsonFile = fs.readFileSync(
-            `${basePath}/build/ipfsMetas/_ipfsMetasResponse.json`
+            `${buildDir}/ipfsMetas/_ipfsMetasResponse.json`
           );
           let metaData = JSON.parse(jsonFile);
           if (metaData.response === "OK" && metaData.error === null) {
@@ -113,7 +117,7 @@
           console.log(
             `/build/_ipfsMetasGeneric/_ipfsMetasResponse.json file not found. Run "npm run upload_metadata" first.`
           );
-          process.exit(0);
+          process.exit(1);
         }
       }
       contract.base_uri = BASE_URI;
@@ -123,7 +127,7 @@
       if (!PREREVEAL_TOKEN_URI) {
         try {
           let jsonFile = fs.readFileSync(
-            `${basePath}/build/ipfsMetasGeneric/_ipfsMetasResponse.json`
+            `${buildDir}/ipfsMetasGeneric/_ipfsMetasResponse.json`
           );
           let metaData = JSON.parse(jsonFile);
           if (metaData.response === "OK" && metaData.error === null) {
@@ -138,7 +142,7 @@
             `/build/_ipfsMetasGeneric/_ipfsMetasResponse.json file not found. Run "npm run upload_metadata" first.`
           );
           console.log(`Catch: ${err}`);
-          process.exit(0);
+          process.exit(1);
         }
       }
       contract.prereveal_token_uri = PREREVEAL_TOKEN_URI;
@@ -146,18 +150,17 @@
       break;
     default:
       console.log("Invalid update statement. Exiting...");
-      process.exit(0);
+      process.exit(1);
   }
 
   const updateContract = async () => {
-    const ok = await yesno({
-      question: `Updating ${options.update} to ${updateValue}, correct? (y/n):`,
-      default: null,
-    });
+    const ok = await confirm(
+      `Updating ${options.update} to ${updateValue}, correct? (y/n):`
+    );
 
     if (!ok) {
       console.log("Exiting...");
-      process.exit(0);
+      process.exit(1);
     }
 
     try {
@@ -174,9 +177,11 @@
         console.log(`Contract Updated!`);
       } else {
         console.log(`Contract update failed!`);
+        process.exitCode = 1;
       }
     } catch (error) {
       console.log(`CATCH: Contract update failed!`, `ERROR: ${error}`);
+      process.exitCode = 1;
     }
   };
 
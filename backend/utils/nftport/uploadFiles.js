@@ -1,20 +1,33 @@
 const FormData = require("form-data");
 const path = require("path");
 const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
 
 const { RateLimit } = require('async-sema');
 const { fetchWithRetry } = require(`${basePath}/utils/functions/fetchWithRetry.js`);
 
-const { LIMIT } = require(`${basePath}/src/config.js`);
+const { LIMIT, network } = require(`${basePath}/src/config.js`);
+const { getOutputs, getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+const { getUriFields } = require(`${basePath}/src/metadata.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
 const _limit = RateLimit(LIMIT);
 
+checkConfig({ contract: true });
+
+const uriFields = getUriFields(network);
+if (!uriFields) {
+  console.log(`The ${network} metadata links no uploaded files. Solana builds are uploaded by Candy Machine from build/assets, run "npm run export_solana".`);
+  process.exit(1);
+}
+
 const allMetadata = [];
-const regex = new RegExp("^([0-9]+).png");
+const { folder, extension } = getPrimaryOutput();
+const regex = new RegExp(`^([0-9]+).${extension}$`);
 
 async function main() {
   console.log("Starting upload of images...");
-  const files = fs.readdirSync(`${basePath}/build/images`);
+  const files = fs.readdirSync(`${buildDir}/${folder}`);
   files.sort(function(a, b){
     return a.split(".")[0] - b.split(".")[0];
   });
@@ -22,14 +35,20 @@ async function main() {
     try {
       if (regex.test(file)) {
         const fileName = path.parse(file).name;
-        let jsonFile = fs.readFileSync(`${basePath}/build/json/${fileName}.json`);
+        let jsonFile = fs.readFileSync(`${buildDir}/json/${fileName}.json`);
         let metaData = JSON.parse(jsonFile);
 
-        if(!metaData.image.includes('https://')) {
+        // the primary image and every output the metadata links, eg. addToFiles
+        const uris = uriFields.getUris(metaData);
+        const outputs = getOutputs().filter(
+          (output) => uris[output.folder] && !uris[output.folder].includes('https://')
+        );
+
+        for (const output of outputs) {
           await _limit()
           const url = "https://api.nftport.xyz/v0/files";
           const formData = new FormData();
-          const fileStream = fs.createReadStream(`${basePath}/build/images/${file}`);
+          const fileStream = fs.createReadStream(`${buildDir}/${output.folder}/${fileName}.${output.extension}`);
           formData.append("file", fileStream);
           const options = {
             method: "POST",
@@ -37,14 +56,15 @@ async function main() {
             body: formData,
           };
           const response = await fetchWithRetry(url, options);
-          metaData.image = response.ipfs_url;
+          uriFields.setUris(metaData, { [output.folder]: response.ipfs_url });
 
           fs.writeFileSync(
-            `${basePath}/build/json/${fileName}.json`,
+            `${buildDir}/json/${fileName}.json`,
             JSON.stringify(metaData, null, 2)
           );
           console.log(`${response.file_name} uploaded & ${fileName}.json updated!`);
-        } else {
+        }
+        if (outputs.length == 0) {
           console.log(`${fileName} already uploaded.`);
         }
 
@@ -52,11 +72,12 @@ async function main() {
       }
     } catch (error) {
       console.log(`Catch: ${error}`);
+      process.exitCode = 1;
     }
   }
 
   fs.writeFileSync(
-    `${basePath}/build/json/_metadata.json`,
+    `${buildDir}/json/_metadata.json`,
     JSON.stringify(allMetadata, null, 2)
   );
 }
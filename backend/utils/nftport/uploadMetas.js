@@ -1,20 +1,24 @@
 const FormData = require("form-data");
 const path = require("path");
 const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
 
 const { fetchWithRetry } = require(`${basePath}/utils/functions/fetchWithRetry.js`);
 
 const { GENERIC } = require(`${basePath}/src/config.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig({ contract: true });
 
 const regex = new RegExp("^([0-9]+).json$");
 
-if (!fs.existsSync(path.join(`${basePath}/build`, "/ipfsMetas"))) {
-  fs.mkdirSync(path.join(`${basePath}/build`, "ipfsMetas"));
+if (!fs.existsSync(path.join(buildDir, "/ipfsMetas"))) {
+  fs.mkdirSync(path.join(buildDir, "ipfsMetas"));
 }
 
-let readDir = `${basePath}/build/json`;
-let writeDir = `${basePath}/build/ipfsMetas`;
+let readDir = `${buildDir}/json`;
+let writeDir = `${buildDir}/ipfsMetas`;
 
 async function main() {
   console.log(`Starting upload of metadata...`);
@@ -46,16 +50,17 @@ async function main() {
     console.log(`Metadata uploaded!`);
   } catch (err) {
     console.log(`Catch: ${err}`);
+    process.exitCode = 1;
   }
 
   // Upload Generic Metadata if GENERIC is true
   if (GENERIC) {
     console.log(`Starting upload of generic metadata...`);
-    if (!fs.existsSync(path.join(`${basePath}/build`, "/ipfsMetasGeneric"))) {
-      fs.mkdirSync(path.join(`${basePath}/build`, "ipfsMetasGeneric"));
+    if (!fs.existsSync(path.join(buildDir, "/ipfsMetasGeneric"))) {
+      fs.mkdirSync(path.join(buildDir, "ipfsMetasGeneric"));
     }
-    readDir = `${basePath}/build/genericJson`;
-    writeDir = `${basePath}/build/ipfsMetasGeneric`;
+    readDir = `${buildDir}/genericJson`;
+    writeDir = `${buildDir}/ipfsMetasGeneric`;
 
     let jsonFile = fs.readFileSync(`${readDir}/_metadata.json`);
     let metaData = JSON.parse(jsonFile);
@@ -86,6 +91,7 @@ async function main() {
       console.log(`Generic metadata uploaded!`);
     } catch (err) {
       console.log(`Catch: ${err}`);
+      process.exitCode = 1;
     }
   }
 }
@@ -2,13 +2,17 @@ const fs = require("fs");
 const path = require("path");
 const { createCanvas, loadImage } = require("canvas");
 const basePath = process.cwd();
-const buildDir = `${basePath}/build/pixel_images`;
-const inputDir = `${basePath}/build/images`;
+const { buildDir: collectionDir } = require(`${basePath}/src/paths.js`);
+const buildDir = `${collectionDir}/pixel_images`;
+const inputDir = `${collectionDir}/images`;
 const { format, pixelFormat } = require(`${basePath}/src/config.js`);
 const console = require("console");
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
 const canvas = createCanvas(format.width, format.height);
 const ctx = canvas.getContext("2d");
 
+checkConfig();
+
 const buildSetup = () => {
   if (fs.existsSync(buildDir)) {
     fs.rmdirSync(buildDir, { recursive: true });
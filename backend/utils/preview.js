@@ -1,12 +1,17 @@
 const basePath = process.cwd();
 const fs = require("fs");
-const { createCanvas, loadImage } = require("canvas");
-const buildDir = `${basePath}/build`;
+const { createCanvas } = require("canvas");
+const { buildDir } = require(`${basePath}/src/paths.js`);
 
 const { preview } = require(`${basePath}/src/config.js`);
+const { getPrimaryOutput } = require(`${basePath}/src/outputs.js`);
+const { decodeAsset } = require(`${basePath}/src/assets.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
 
 // read json data
-const rawdata = fs.readFileSync(`${basePath}/build/json/_metadata.json`);
+const rawdata = fs.readFileSync(`${buildDir}/json/_metadata.json`);
 const metadataList = JSON.parse(rawdata);
 
 const saveProjectPreviewImage = async (_data) => {
@@ -30,9 +35,10 @@ const saveProjectPreviewImage = async (_data) => {
 
   // Iterate all NFTs and insert thumbnail into preview image
   // Don't want to rely on "edition" for assuming index
+  const { folder, extension } = getPrimaryOutput();
   for (let index = 0; index < _data.length; index++) {
     const nft = _data[index];
-    await loadImage(`${buildDir}/images/${nft.custom_fields.edition}.png`).then((image) => {
+    await decodeAsset(`${buildDir}/${folder}/${nft.custom_fields.edition}.${extension}`).then((image) => {
       previewCtx.drawImage(
         image,
         thumbWidth * (index % thumbPerRow),
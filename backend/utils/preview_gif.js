@@ -1,15 +1,30 @@
 const basePath = process.cwd();
 const fs = require("fs");
 const { createCanvas, loadImage } = require("canvas");
-const buildDir = `${basePath}/build`;
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const imageDir = `${buildDir}/images`;
-const { format, preview_gif } = require(`${basePath}/src/config.js`);
+const { format, preview_gif, seed } = require(`${basePath}/src/config.js`);
+const { createRandom, createSeed } = require(`${basePath}/src/random.js`);
+const HashlipsGiffer = require(`${basePath}/modules/HashlipsGiffer.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
 const canvas = createCanvas(format.width, format.height);
 const ctx = canvas.getContext("2d");
 
-const HashlipsGiffer = require(`${basePath}/modules/HashlipsGiffer.js`);
+checkConfig();
+
 let hashlipsGiffer = null;
 
+// Use the seed the build used (a --seed run wins over config.js) so a MIXED
+// preview can be reproduced as well
+const getSeed = () => {
+  try {
+    return JSON.parse(fs.readFileSync(`${buildDir}/_seed.json`)).seed;
+  } catch {
+    return seed ?? createSeed();
+  }
+};
+const random = createRandom(getSeed());
+
 const loadImg = async (_img) => {
   return new Promise(async (resolve) => {
     const loadedImage = await loadImage(`${_img}`);
@@ -63,7 +78,13 @@ const saveProjectPreviewGIF = async (_data) => {
       } else if (order == "DESC") {
         renderObjectArray.reverse();
       } else if (order == "MIXED") {
-        renderObjectArray = renderObjectArray.sort(() => Math.random() - 0.5);
+        for (let i = renderObjectArray.length - 1; i > 0; i--) {
+          const j = Math.floor(random() * (i + 1));
+          [renderObjectArray[i], renderObjectArray[j]] = [
+            renderObjectArray[j],
+            renderObjectArray[i],
+          ];
+        }
       }
 
       // Reduce the size of the array of Images to the desired amount
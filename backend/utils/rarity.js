@@ -1,35 +1,76 @@
 const basePath = process.cwd();
+const { buildDir, layersDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
-const layersDir = `${basePath}/layers`;
 
 const { layerConfigurations } = require(`${basePath}/src/config.js`);
 
-const { getElements } = require("../src/main.js");
+const { getLayerElements } = require("../src/main.js");
+const { getLayerTraits, getAttribute } = require("../src/traits.js");
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
 
 // read json data
-let rawdata = fs.readFileSync(`${basePath}/build/json/_metadata.json`);
+let rawdata = fs.readFileSync(`${buildDir}/json/_metadata.json`);
 let data = JSON.parse(rawdata);
 let editionSize = data.length;
 
 let rarityData = [];
 
+// weights can be decimals, keep them short without rounding them away
+const formatWeight = (_weight) => String(Number(_weight.toFixed(4)));
+
 // intialize layers to chart
 layerConfigurations.forEach((config) => {
   let layers = config.layersOrder;
 
   layers.forEach((layer) => {
+    // hidden layers have no attribute to chart, text layers have no weights
+    if (layer.options?.["hidden"] || layer.options?.["text"] != undefined) {
+      return;
+    }
     // get elements for each layer
     let elementsForLayer = [];
-    let elements = getElements(`${layersDir}/${layer.name}/`);
+    let elements = getLayerElements(layer);
+    let traits = getLayerTraits(`${layersDir}/${layer.name}/`);
     elements.forEach((element) => {
+      // _traits.json can set another value than the element name
+      let value = getAttribute({ traits, selectedElement: element }).value;
+      // linked layers have the same element name in several variant folders
+      let existing = elementsForLayer.find((e) => e.trait == value);
+      if (existing) {
+        existing.chance = formatWeight(
+          Number(existing.chance) + element.weight
+        );
+        return;
+      }
       // just get name and weight for each element
       let rarityDataElement = {
-        trait: element.name,
-        chance: element.weight.toFixed(0),
+        trait: value,
+        chance: formatWeight(element.weight),
         occurrence: 0, // initialize at 0
       };
       elementsForLayer.push(rarityDataElement);
     });
+    // optional layers that emit "None" when absent, with the same weight
+    // share as their presence chance
+    let presence = layer.options?.["presence"];
+    if (presence != undefined && layer.options?.["absentAttribute"] == "none") {
+      let total = elements.reduce((sum, element) => sum + element.weight, 0);
+      let chance = total;
+      if (presence == 0) {
+        // a layer that is never present has only "None"
+        elementsForLayer.forEach((e) => (e.chance = "0"));
+      } else {
+        // presence 1 leaves "None" at 0
+        chance = (total * (1 - presence)) / presence;
+      }
+      elementsForLayer.push({
+        trait: "None",
+        chance: formatWeight(chance),
+        occurrence: 0, // initialize at 0
+      });
+    }
     let layerName =
       layer.options?.["displayName"] != undefined
         ? layer.options?.["displayName"]
@@ -46,10 +87,15 @@ layerConfigurations.forEach((config) => {
 data.forEach((element) => {
   let attributes = element.attributes;
   attributes.forEach((attribute) => {
-    let traitType = attribute.trait_type;
+    // TZIP-21 attributes (Tezos) have a name instead of a trait_type
+    let traitType = attribute.trait_type ?? attribute.name;
     let value = attribute.value;
 
     let rarityDataTraits = rarityData[traitType];
+    // legendaries can have traits that are not part of any layer
+    if (rarityDataTraits == undefined) {
+      return;
+    }
     rarityDataTraits.forEach((rarityDataTrait) => {
       if (rarityDataTrait.trait == value) {
         // keep track of occurrences
@@ -0,0 +1,89 @@
+const basePath = process.cwd();
+const fs = require("fs");
+const { program } = require("commander");
+const { buildDir } = require(`${basePath}/src/paths.js`);
+const { rerollEditions } = require(`${basePath}/src/main.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+const { logEvent, endProgress } = require(`${basePath}/src/log.js`);
+
+checkConfig();
+
+const collect = (_value, _previous) => [..._previous, _value];
+
+program
+  .option("-e, --editions <list>", "Editions to re-roll, eg. 1337 or 12,40-45")
+  .option(
+    "-w, --where <trait=value>",
+    "Re-roll the editions with this trait, repeat to require several",
+    collect,
+    []
+  )
+  .option("-s, --seed <seed>", "Seed for the new DNA")
+  .option("-f, --force", "Also re-roll editions that were already uploaded");
+program.parse(process.argv);
+
+// "12,40-45" => [12, 40, 41, 42, 43, 44, 45]
+const parseEditions = (_list) =>
+  _list.split(",").flatMap((part) => {
+    const [from, to] = part.trim().split("-").map(Number);
+    if (!Number.isInteger(from) || (to != undefined && !Number.isInteger(to))) {
+      console.log(`"${part}" is not an edition number or range.`);
+      process.exit(1);
+    }
+    return Array.from({ length: (to ?? from) - from + 1 }, (_, i) => from + i);
+  });
+
+// Editions whose attributes match every trait=value filter
+const findEditions = (_filters) => {
+  const filters = _filters.map((filter) => {
+    const [type, ...value] = filter.split("=");
+    if (value.length == 0) {
+      console.log(`"${filter}" is not a trait=value filter.`);
+      process.exit(1);
+    }
+    return { type: type.trim(), value: value.join("=").trim() };
+  });
+  if (!fs.existsSync(`${buildDir}/json/_metadata.json`)) {
+    console.log(`No collection found in ${buildDir}, generate it first.`);
+    process.exit(1);
+  }
+  const metadataList = JSON.parse(
+    fs.readFileSync(`${buildDir}/json/_metadata.json`)
+  );
+  return metadataList
+    .filter((metadata) =>
+      filters.every(({ type, value }) =>
+        (metadata.attributes ?? []).some(
+          (attribute) =>
+            (attribute.trait_type ?? attribute.name) == type &&
+            `${attribute.value}` == value
+        )
+      )
+    )
+    .map((metadata) => metadata.edition);
+};
+
+(async () => {
+  const { editions, where, seed, force } = program.opts();
+  if (editions == undefined && where.length == 0) {
+    console.log("Pick the editions to re-roll with --editions and/or --where.");
+    process.exit(1);
+  }
+  const selected = [
+    ...(editions != undefined ? parseEditions(editions) : []),
+    ...(where.length > 0 ? findEditions(where) : []),
+  ];
+  if (where.length > 0 && selected.length == 0) {
+    console.log(`No edition matches ${where.join(" and ")}.`);
+    process.exit(1);
+  }
+  const reroll = await rerollEditions(selected, { seed, force });
+  console.log(
+    `Re-rolled ${reroll.editions.length} edition(s) with seed ${reroll.seed}.`
+  );
+})().catch((error) => {
+  // eg. a layer that can not be loaded
+  endProgress();
+  logEvent("error", { message: error.message }, `Error: ${error.message}`);
+  process.exit(1);
+});
@@ -1,38 +1,66 @@
 const basePath = process.cwd();
+const { buildDir } = require(`${basePath}/src/paths.js`);
 const fs = require("fs");
-const yesno = require('yesno');
 
 const {
   baseUri,
   description,
   namePrefix,
+  network,
 } = require(`${basePath}/src/config.js`);
+const { getOutputs } = require(`${basePath}/src/outputs.js`);
+const { getUriFields } = require(`${basePath}/src/metadata.js`);
+const { confirm } = require(`${basePath}/utils/functions/confirm.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
 
-// read json data
-let rawdata = fs.readFileSync(`${basePath}/build/json/_metadata.json`);
-let data = JSON.parse(rawdata);
+checkConfig();
 
-console.log("Info will be updated using the config.js data.");
-const updateName = await yesno(`Update names?`);
-const updateDescription = await yesno(`Update descriptions?`);
-const updateBaseUri = await yesno(`Update images base URI?`);
+const uriFields = getUriFields(network);
+
+// baseUri of every output the metadata of an edition links
+const getBaseUris = (_item) =>
+  getOutputs()
+    .filter((output) => uriFields.getUris(_item)[output.folder] != undefined)
+    .reduce(
+      (uris, output) => ({
+        ...uris,
+        [output.folder]: `${output.baseUri}/${_item.edition}.${output.extension}`,
+      }),
+      {}
+    );
+
+const main = async () => {
+  // read json data
+  let rawdata = fs.readFileSync(`${buildDir}/json/_metadata.json`);
+  let data = JSON.parse(rawdata);
+
+  console.log("Info will be updated using the config.js data.");
+  const updateName = await confirm(`Update names?`);
+  const updateDescription = await confirm(`Update descriptions?`);
+  // Solana images are uploaded by Candy Machine from build/assets, see
+  // export_solana
+  const updateBaseUri =
+    uriFields != null && (await confirm(`Update images base URI?`));
+
+  data.forEach((item) => {
+    if(updateName) item.name = `${namePrefix} #${item.edition}`;
+    if(updateDescription) item.description = description;
+    if(updateBaseUri) uriFields.setUris(item, getBaseUris(item));
+
+    fs.writeFileSync(
+      `${buildDir}/json/${item.edition}.json`,
+      JSON.stringify(item, null, 2)
+    );
+  });
 
-data.forEach((item) => {
-  if(updateName) item.name = `${namePrefix} #${item.edition}`;
-  if(updateDescription) item.description = description;
-  if(updateBaseUri) item.image = `${baseUri}/${item.edition}.png`;
- 
   fs.writeFileSync(
-    `${basePath}/build/json/${item.edition}.json`,
-    JSON.stringify(item, null, 2)
+    `${buildDir}/json/_metadata.json`,
+    JSON.stringify(data, null, 2)
   );
-});
 
-fs.writeFileSync(
-  `${basePath}/build/json/_metadata.json`,
-  JSON.stringify(data, null, 2)
-);
+  if(updateName) console.log(`Updated name prefix for images to ===> ${namePrefix}`);
+  if(updateBaseUri) console.log(`Updated baseUri for images to ===> ${baseUri}`);
+  if(updateDescription) console.log(`Updated description for images to ===> ${description}`);
+};
 
-if(updateName) console.log(`Updated name prefix for images to ===> ${namePrefix}`);
-if(updateBaseUri) console.log(`Updated baseUri for images to ===> ${baseUri}`);
-if(updateDescription) console.log(`Updated description for images to ===> ${description}`);
+main();
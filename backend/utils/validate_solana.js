@@ -0,0 +1,14 @@
+const basePath = process.cwd();
+const { validateAssets } = require(`${basePath}/src/solana.js`);
+const { checkConfig } = require(`${basePath}/src/validateConfig.js`);
+
+checkConfig();
+
+const { count, errors } = validateAssets();
+if (errors.length > 0) {
+  console.log(`Found ${errors.length} problem(s) in build/assets:`);
+  errors.forEach((error) => console.log(`- ${error.key}: ${error.message}`));
+  process.exitCode = 1;
+} else {
+  console.log(`build/assets is ready for Candy Machine with ${count} assets.`);
+}